@@ -0,0 +1,204 @@
+// Survey helpers that need neither React nor the DOM: display logic, per-question statistics, chart counts and the
+// aggregation fold behind Results. The app imports them, and so does aggregate.worker.js, which runs the fold off the
+// main thread on the same code.
+
+// -------------------- Questions --------------------
+export const isSection = (q) => q.type === "section";
+
+export function isAnswered(q, value) {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (q.type === "likert") return (q.rows || []).every((row) => value[row]);
+  return String(value).trim() !== "";
+}
+
+// -------------------- Logic --------------------
+export function matches(answer, op, value) {
+  if (answer === undefined || String(answer).trim() === "") return false;
+  if (Array.isArray(answer)) return op === "eq" ? answer.includes(value) : op === "neq" ? !answer.includes(value) : false;
+  if (typeof answer === "object") return false;
+  switch (op) {
+    case "eq": return String(answer) === String(value);
+    case "neq": return String(answer) !== String(value);
+    case "lt": return Number(answer) < Number(value);
+    case "gt": return Number(answer) > Number(value);
+    default: return false;
+  }
+}
+
+/**
+ * Walks the questions in order and returns the ones a respondent with `answers` gets to see.
+ * Answers to questions hidden by an earlier rule are ignored, so stale answers can't open branches.
+ */
+export function visibleQuestions(questions, answers) {
+  const out = [];
+  const seen = new Set();
+  const answerOf = (id) => (seen.has(id) ? answers[id] : undefined);
+  for (const q of questions) {
+    if (q.showIf && !matches(answerOf(q.showIf.questionId), q.showIf.op, q.showIf.value)) continue;
+    out.push(q);
+    seen.add(q.id);
+    if (q.endIf && matches(answers[q.id], q.endIf.op, q.endIf.value)) break;
+  }
+  return out;
+}
+
+// -------------------- Statistics --------------------
+// Two-sided 95% t critical values for df 1–30; beyond that the normal 1.96 is close enough.
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145, 2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+export const NPS_GROUPS = ["Detractors (0–6)", "Passives (7–8)", "Promoters (9–10)"];
+export const npsGroup = (score) => NPS_GROUPS[score <= 6 ? 0 : score <= 8 ? 1 : 2];
+export const scoresAsNps = (q) => q.type === "nps" || (q.type === "rating" && q.scoreAsNps);
+
+/** n, mean, median, sample sd and a 95% t-interval for the mean; null when there is nothing to describe. */
+export function describe(numbers) {
+  const n = numbers.length;
+  if (n === 0) return null;
+  const sorted = [...numbers].sort((a, b) => a - b);
+  const mean = numbers.reduce((a, b) => a + b, 0) / n;
+  const median = n % 2 ? sorted[(n - 1) / 2] : (sorted[n / 2 - 1] + sorted[n / 2]) / 2;
+  const sd = n > 1 ? Math.sqrt(numbers.reduce((a, x) => a + (x - mean) ** 2, 0) / (n - 1)) : 0;
+  const margin = n > 1 ? (T_95[n - 2] ?? 1.96) * (sd / Math.sqrt(n)) : 0;
+  return { n, mean, median, sd, ci: [mean - margin, mean + margin] };
+}
+
+/** Shares of each NPS group (0–100) and the score, promoters % minus detractors %. */
+function npsBreakdown(numbers) {
+  const share = (group) => (numbers.filter((x) => npsGroup(x) === group).length / numbers.length) * 100;
+  const [detractors, passives, promoters] = NPS_GROUPS.map(share);
+  return { promoters, passives, detractors, score: promoters - detractors };
+}
+
+/** Summary statistics for rating, NPS and number questions; null for everything else or no answers. */
+export function questionStats(q, values) {
+  if (!["rating", "nps", "number"].includes(q.type)) return null;
+  const numbers = values.map(Number).filter(Number.isFinite);
+  const stats = describe(numbers);
+  if (!stats) return null;
+  // Top-2-box: the two best points of the scale, e.g. 4–5 stars or 9–10 on NPS.
+  const top = q.type === "rating" ? (q.max || 5) - 1 : q.type === "nps" ? 9 : null;
+  return {
+    ...stats,
+    top2: top === null ? undefined : (numbers.filter((x) => x >= top).length / numbers.length) * 100,
+    nps: scoresAsNps(q) ? npsBreakdown(numbers) : undefined,
+  };
+}
+
+// -------------------- Chart counts --------------------
+/** Bars for a question's answers as `{ data, series? }`, or null for types without a chart. */
+function chartData(q, values) {
+  switch (q.type) {
+    case "mcq":
+    case "dropdown":
+      return { data: countStrings(values, q.options || []) };
+    case "multi":
+      return { data: countMulti(values, q.options || []) };
+    case "rating":
+      return { data: countNumbers(values, q.max || 5) };
+    case "nps":
+      return { data: countNumbers(values, 10, 0) };
+    case "number":
+      return { data: bucketNumbers(values, q.min, q.max) };
+    case "date":
+      return { data: countDates(values) };
+    case "likert":
+      return { data: countLikert(values, q.rows || [], q.options || []), series: q.options || [] };
+    default:
+      return null;
+  }
+}
+
+function countStrings(values, allOptions) {
+  const counts = new Map();
+  allOptions.forEach((o) => counts.set(o, 0));
+  values.forEach((v) => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
+  return [...counts.entries()].map(([name, count]) => ({ name, count }));
+}
+function countNumbers(values, max, min = 1) {
+  const counts = new Map();
+  for (let i = min; i <= max; i++) counts.set(String(i), 0);
+  values.forEach((v) => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
+  return [...counts.entries()].map(([name, count]) => ({ name, count }));
+}
+function countMulti(values, allOptions) {
+  return countStrings(values.flatMap((v) => (Array.isArray(v) ? v : [v])), allOptions);
+}
+function bucketNumbers(values, min, max, bins = 10) {
+  const nums = values.map(Number).filter(Number.isFinite);
+  if (nums.length === 0) return [];
+  const lo = Number.isFinite(min) ? min : nums.reduce((a, b) => Math.min(a, b));
+  const hi = Number.isFinite(max) ? max : nums.reduce((a, b) => Math.max(a, b));
+  if (Number.isInteger(lo) && Number.isInteger(hi) && hi - lo < bins) return countNumbers(nums, hi, lo);
+  const width = (hi - lo) / bins || 1;
+  const counts = Array.from({ length: bins }, (_, i) => ({ name: `${+(lo + i * width).toFixed(2)}–${+(lo + (i + 1) * width).toFixed(2)}`, count: 0 }));
+  nums.forEach((n) => counts[Math.min(bins - 1, Math.max(0, Math.floor((n - lo) / width)))].count++);
+  return counts;
+}
+function countDates(values) {
+  const days = values.filter(Boolean).map(String).sort();
+  // Day buckets get unreadable past a month of distinct dates, so fall back to months.
+  const byMonth = new Set(days).size > 31;
+  return countStrings(days.map((d) => (byMonth ? d.slice(0, 7) : d.slice(0, 10))), []);
+}
+
+function countLikert(values, rows, columns) {
+  return rows.map((row) => ({
+    name: row,
+    ...Object.fromEntries(columns.map((col) => [col, values.filter((v) => v && v[row] === col).length])),
+  }));
+}
+
+// -------------------- Aggregation --------------------
+export const AGGREGATE_CHUNK = 2000;
+
+/** Running totals; `values` keeps every answer per question so medians and CIs stay exact. */
+export function emptyTotals() {
+  return { count: 0, reached: {}, answered: {}, abandoned: {}, timings: {}, values: {} };
+}
+
+const tally = (map, key) => (map[key] = (map[key] || 0) + 1);
+
+export function foldResponses(totals, questions, responses) {
+  responses.forEach((r) => {
+    totals.count++;
+    // Partial responses record which questions were on screen; submitted ones are replayed through the logic.
+    const shown = r.seen ? questions.filter((q) => r.seen.includes(q.id)) : visibleQuestions(questions, r.answers);
+    shown.forEach((q) => {
+      tally(totals.reached, q.id);
+      if (isAnswered(q, r.answers[q.id])) tally(totals.answered, q.id);
+      if (r.timings?.[q.id]) (totals.timings[q.id] = totals.timings[q.id] || []).push(r.timings[q.id]);
+    });
+    if (r.seen) {
+      // Where a respondent gave up: the first question they saw but left unanswered, else the last one they saw.
+      const asked = shown.filter((q) => !isSection(q));
+      const stop = asked.find((q) => !isAnswered(q, r.answers[q.id])) || asked[asked.length - 1];
+      if (stop) tally(totals.abandoned, stop.id);
+    }
+    Object.entries(r.answers).forEach(([qid, value]) => (totals.values[qid] = totals.values[qid] || []).push(value));
+  });
+}
+
+/** `partial` holds abandoned responses: they only feed the funnel, never the charts or stats. */
+export function aggregateSummary(totals, questions, partial = emptyTotals()) {
+  const charts = {};
+  const stats = {};
+  questions.forEach((q) => {
+    const values = totals.values[q.id] || [];
+    charts[q.id] = chartData(q, values);
+    stats[q.id] = questionStats(q, values);
+  });
+  const both = (key, qid) => (totals[key][qid] || 0) + (partial[key][qid] || 0);
+  const funnel = {
+    completed: totals.count,
+    abandoned: partial.count,
+    rows: questions.filter((q) => !isSection(q)).map((q) => ({
+      id: q.id,
+      reached: both("reached", q.id),
+      answered: both("answered", q.id),
+      abandoned: partial.abandoned[q.id] || 0,
+      medianMs: describe([...(totals.timings[q.id] || []), ...(partial.timings[q.id] || [])])?.median ?? null,
+    })),
+  };
+  return { count: totals.count, reached: totals.reached, charts, stats, funnel };
+}
@@ -0,0 +1,35 @@
+// Aggregation for Results, off the main thread. "reset" starts over for new questions or a changed response list;
+// "add" folds in more submissions. Abandoned responses are few and change often, so any message carrying them
+// replaces them wholesale. A summary, tagged with its job, is posted after every chunk.
+import { AGGREGATE_CHUNK, aggregateSummary, emptyTotals, foldResponses } from "./aggregate.js";
+
+let questions = [];
+let totals = emptyTotals();
+let partial = emptyTotals();
+let queue = [];
+let job = 0;
+let running = false;
+
+function step() {
+  foldResponses(totals, questions, queue.splice(0, AGGREGATE_CHUNK));
+  self.postMessage({ job, pending: queue.length, ...aggregateSummary(totals, questions, partial) });
+  running = queue.length > 0;
+  if (running) setTimeout(step);
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === "reset") {
+    ({ job, questions } = data);
+    totals = emptyTotals();
+    queue = [];
+  }
+  if (data.partials) {
+    partial = emptyTotals();
+    foldResponses(partial, questions, data.partials);
+  }
+  queue = queue.concat(data.responses || []);
+  if (!running) {
+    running = true;
+    setTimeout(step);
+  }
+};
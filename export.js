@@ -0,0 +1,165 @@
+// Formatting shared by both apps' response exports, so a CSV, a workbook, a timestamp or a file name comes out the
+// same whichever app wrote it. Nothing here needs a library: the XLSX writer below is self-contained.
+
+/**
+ * A response time as exported: ISO 8601 in UTC, the browser's local time, or whole Unix seconds.
+ * @param {number} ts
+ * @param {"iso"|"local"|"unix"} style
+ * @returns {string|number}
+ */
+export function formatTimestamp(ts, style) {
+  if (style === "unix") return Math.floor(ts / 1000);
+  return style === "local" ? new Date(ts).toLocaleString() : new Date(ts).toISOString();
+}
+
+const NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Text a spreadsheet would run as a formula (=, +, -, @, tab or CR first) gets a leading apostrophe, since answers are
+ * written by respondents. Numbers, including ones answered as text like "-3", are left alone.
+ * @param {string} text
+ */
+export function neutralizeFormula(text) {
+  return /^[=+\-@\t\r]/.test(text) && !NUMBER_RE.test(text) ? `'${text}` : text;
+}
+
+/**
+ * RFC 4180 CSV; the BOM makes Excel read it as UTF-8. Text cells are passed through neutralizeFormula.
+ * @param {(string|number|null|undefined)[][]} rows
+ */
+export function toCSV(rows) {
+  const cell = (v) => {
+    const s = typeof v === "string" ? neutralizeFormula(v) : String(v ?? "");
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  return "﻿" + rows.map((row) => row.map(cell).join(",")).join("\r\n");
+}
+
+/**
+ * A file name from its parts, lowercased and hyphenated. Characters file systems reject (/ \ : * ? " < > |) become
+ * separators too.
+ * @param {...(string|null|undefined)} parts
+ */
+export const fileSlug = (...parts) =>
+  parts
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase()
+    .replace(/[\/\\:*?"<>|\x00-\x1f]+/g, " ")
+    .trim()
+    .replace(/\s+/g, "-");
+
+// -------------------- XLSX --------------------
+// A minimal Office Open XML workbook: one worksheet per sheet, text as inline strings, numbers as numbers, packed
+// in an uncompressed zip. Enough for data exports without depending on a spreadsheet library.
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+// Characters XML 1.0 can't carry at all are dropped; the rest are escaped.
+const xml = (text) =>
+  String(text)
+    .replace(/[\x00-\x08\x0b\x0c\x0e-\x1f￾￿]/g, "")
+    .replace(/[&<>"]/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+
+/** Spreadsheet column letters for a 0-based index: 0 → A, 26 → AA. */
+function columnName(i) {
+  let name = "";
+  for (let n = i + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+}
+
+function worksheetXML(rows) {
+  const cell = (v, ref) => {
+    if (v === null || v === undefined || v === "") return "";
+    if (typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xml(v)}</t></is></c>`;
+  };
+  const body = rows
+    .map((row, r) => `<row r="${r + 1}">${row.map((v, c) => cell(v, `${columnName(c)}${r + 1}`)).join("")}</row>`)
+    .join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+/** A zip of `files` (path → text), stored without compression. */
+function zip(files) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+  for (const [path, text] of Object.entries(files)) {
+    const name = encoder.encode(path);
+    const data = encoder.encode(text);
+    const crc = crc32(data);
+    // Version needed, flags (UTF-8 names), method (stored), DOS time and date (1980-01-01), crc, sizes, name length.
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, 0, true);
+      view.setUint16(at + 8, 0x21, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, data.length, true);
+      view.setUint32(at + 18, data.length, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    fields(local, 4);
+    parts.push(local, name, data);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    fields(central, 6);
+    central.setUint32(42, offset, true);
+    directory.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = directory.reduce((n, part) => n + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, Object.keys(files).length, true);
+  end.setUint16(10, Object.keys(files).length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return [...parts, ...directory, end];
+}
+
+/**
+ * An .xlsx workbook with one sheet per entry, in order. Sheet names are cut to Excel's 31 characters.
+ * @param {{ name: string; rows: (string|number|null|undefined)[][] }[]} sheets
+ * @returns {Blob}
+ */
+export function toXLSX(sheets) {
+  const files = {
+    "[Content_Types].xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets
+      .map((_, i) => `<Override PartName="/xl/worksheets/sheet${i + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`)
+      .join("")}</Types>`,
+    "_rels/.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    "xl/workbook.xml": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${sheets
+      .map((s, i) => `<sheet name="${xml(s.name.replace(/[\\\/?*:\[\]]/g, " ").slice(0, 31))}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join("")}</sheets></workbook>`,
+    "xl/_rels/workbook.xml.rels": `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets
+      .map((_, i) => `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`)
+      .join("")}</Relationships>`,
+  };
+  sheets.forEach((s, i) => (files[`xl/worksheets/sheet${i + 1}.xml`] = worksheetXML(s.rows)));
+  return new Blob(zip(files), { type: XLSX_MIME });
+}
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   BarChart as RBarChart,
@@ -6,9 +6,29 @@ import {
   XAxis,
   YAxis,
   Tooltip,
+  Legend,
+  LineChart,
+  Line,
+  ReferenceLine,
   ResponsiveContainer,
 } from "recharts";
-import { Plus, Trash2, BarChart3, Copy, Check, Wallet, DollarSign } from "lucide-react";
+import { Plus, Trash2, BarChart3, Copy, Check, Wallet, DollarSign, GripVertical, Undo2, Redo2, History, Star } from "lucide-react";
+import { fileSlug, formatTimestamp, toCSV, toXLSX } from "./export.js";
+import {
+  isSection,
+  isAnswered,
+  matches,
+  visibleQuestions,
+  AGGREGATE_CHUNK,
+  NPS_GROUPS,
+  npsGroup,
+  scoresAsNps,
+  describe,
+  questionStats,
+  emptyTotals,
+  foldResponses,
+  aggregateSummary,
+} from "./aggregate.js";
 
 // shadcn/ui components
 import { Button } from "@/components/ui/button";
@@ -22,25 +42,413 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@
 import { Separator } from "@/components/ui/separator";
 
 // -------------------- Types --------------------
-/** @typedef {"text"|"mcq"|"rating"} QType */
-
-/** @typedef {{ id: string; type: QType; prompt: string; required: boolean; options?: string[]; max?: number }} Question */
-/** @typedef {{ title: string; description: string; questions: Question[] }} Survey */
-/** @typedef {{ timestamp: number; answers: Record<string, string|number> }} Response */
+/** @typedef {"text"|"mcq"|"multi"|"dropdown"|"rating"|"nps"|"number"|"date"|"likert"|"section"} QType */
+/** @typedef {"eq"|"neq"|"lt"|"gt"} LogicOp */
+/** @typedef {{ questionId: string; op: LogicOp; value: string }} Condition */
+/** @typedef {string|number|string[]|Record<string, string>} Answer multi → string[], likert → { [row]: column } */
+
+// options: choices for mcq/multi/dropdown, columns for likert. max: stars for rating, upper bound for number.
+// A "section" is not a question: it starts a new page, with `prompt` as its title.
+/** @typedef {{ minLength?: number; maxLength?: number; pattern?: "email"|"phone"|"custom"; regex?: string; minSelect?: number; maxSelect?: number; message?: string }} ValidationRules */
+// shuffleOptions/pinned: choice options are shuffled per respondent, except the pinned ones which keep their slot.
+// scoreAsNps: a 1–10 rating reported as promoters/passives/detractors, like an NPS question.
+/** @typedef {{ id: string; type: QType; prompt: string; required: boolean; description?: string; options?: string[]; rows?: string[]; min?: number; max?: number; validation?: ValidationRules; showIf?: Condition; endIf?: { op: LogicOp; value: string }; shuffleOptions?: boolean; pinned?: string[]; scoreAsNps?: boolean }} Question */
+/** @typedef {{ questions?: boolean; blocks?: "fixed"|"shuffle"|"rotate" }} Randomize questions: shuffle within each page; blocks: order of the pages */
+/** @typedef {{ version: number; publishedAt: number; title: string; description: string; questions: Question[]; randomize?: Randomize }} SurveyVersion immutable once published */
+// title/description/questions/randomize on a Survey are the working draft; respondents only ever see a published version.
+// questionMap points question ids that vanished from the latest version at the question that replaced them.
+/** @typedef {{ id: string; title: string; description: string; questions: Question[]; randomize?: Randomize; createdAt: number; archived?: boolean; versions: SurveyVersion[]; questionMap?: Record<string, string> }} Survey */
+/** @typedef {{ questions: string[]; options: Record<string, string[]> }} PresentedOrder question ids, and option labels per question, as the respondent saw them */
+// themes: theme tags an analyst gave this response's text answers, keyed by question id. flagged/note are internal only.
+// quoted: ids of the text questions whose answer was picked as a verbatim for reports.
+// timings: milliseconds spent on each question, credited to whichever question the respondent was changing.
+/** @typedef {{ id: string; timestamp: number; version: number; answers: Record<string, Answer>; seed?: string; order?: PresentedOrder; timings?: Record<string, number>; themes?: Record<string, string[]>; quoted?: string[]; flagged?: boolean; note?: string }} Response */
+// An unsubmitted response, saved as the respondent goes. id is the respondent's seed; timestamp is their last change.
+/** @typedef {{ id: string; timestamp: number; startedAt: number; version: number; answers: Record<string, Answer>; seed: string; order: PresentedOrder; timings: Record<string, number>; seen: string[] }} PartialResponse */
 /** @typedef {{ balance: number; payouts: { id: string; amount: number; timestamp: number }[] }} Wallet */
+/** @typedef {{ id: string; name: string; description: string; builtIn?: boolean; survey: { title: string; description: string; questions: Question[]; randomize?: Randomize } }} Template */
+// templates holds the user's own templates (built-ins live in BUILT_IN_TEMPLATES); bank holds reusable questions.
+/** @typedef {{ at: number; title: string; description: string; questions: Question[]; randomize?: Randomize }} Autosave a draft as it stood after a pause in editing */
+/** @typedef {"all"|"complete"|"skipped"|"clean"|"suspect"} QualityStatus */
+/** @typedef {{ conditions: Condition[]; from?: string; to?: string; status: QualityStatus }} ResponseFilter from/to are inclusive yyyy-mm-dd dates */
+/** @typedef {{ id: string; name: string; filter: ResponseFilter }} Segment */
+/** @typedef {{ cover: boolean; overview: boolean; charts: boolean; stats: boolean; quotes: "selected"|"latest"|"none"; quotesPerQuestion: number; paper: "A4"|"Letter"; orientation: "portrait"|"landscape"; pagePerQuestion: boolean }} ReportLayout */
+/** @typedef {{ schemaVersion: number; surveys: Survey[]; responses: Record<string, Response[]>; partials: Record<string, PartialResponse[]>; activeId: string; wallet: Wallet; templates: Template[]; bank: Question[]; autosaves: Record<string, Autosave[]>; segments: Record<string, Segment[]> }} Store responses, partials, autosaves and segments are keyed by survey id */
 
 // -------------------- Utils --------------------
 const uid = () => Math.random().toString(36).slice(2, 9);
 const LS_KEY = "survey_app_v2_rewards";
 const REWARD_PER_SUBMISSION = 100; // $100 per completed survey
+const UNDO_LIMIT = 100;
+const AUTOSAVE_DELAY_MS = 3000; // after the last edit
+const MAX_AUTOSAVES = 20; // per survey, oldest dropped first
+const PROGRESS_DELAY_MS = 1000; // partial responses are saved this long after the respondent's last change
+const ABANDON_AFTER_MS = 30 * 60 * 1000; // a partial response idle this long counts as abandoned
+
+const QTYPE_LABELS = {
+  text: "Text",
+  mcq: "MCQ",
+  multi: "Multi-select",
+  dropdown: "Dropdown",
+  rating: "Rating",
+  nps: "NPS",
+  number: "Number",
+  date: "Date",
+  likert: "Likert",
+  section: "Section",
+};
+const CHOICE_TYPES = ["mcq", "multi", "dropdown"];
+const LIKERT_SCALE = ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"];
+const CHART_COLORS = ["#0f172a", "#334155", "#64748b", "#94a3b8", "#cbd5e1", "#e2e8f0"];
+
+/** @returns {Question} */
+function newQuestion(type) {
+  const base = { id: uid(), type, required: false };
+  switch (type) {
+    case "mcq": return { ...base, prompt: "Multiple choice question", options: ["Option 1", "Option 2"] };
+    case "multi": return { ...base, prompt: "Select all that apply", options: ["Option 1", "Option 2", "Option 3"] };
+    case "dropdown": return { ...base, prompt: "Pick one from the list", options: ["Option 1", "Option 2", "Option 3"] };
+    case "rating": return { ...base, prompt: "Rate from 1–5", max: 5 };
+    case "nps": return { ...base, prompt: "How likely are you to recommend us to a friend or colleague?" };
+    case "number": return { ...base, prompt: "Enter a number", min: 0, max: 100 };
+    case "date": return { ...base, prompt: "Pick a date" };
+    case "likert": return { ...base, prompt: "How much do you agree with the following?", rows: ["Statement 1", "Statement 2"], options: LIKERT_SCALE };
+    case "section": return { ...base, prompt: "New section", description: "" };
+    default: return { ...base, prompt: "Short answer question" };
+  }
+}
 
-function useLocalStorage(key, initial) {
+/** Q-numbers as shown to authors and in Results; sections are skipped. */
+function questionNumbers(questions) {
+  const out = /** @type {Record<string, number>} */({});
+  questions.filter((q) => !isSection(q)).forEach((q, i) => (out[q.id] = i + 1));
+  return out;
+}
+
+/** Splits questions at each section break. Pages without questions (e.g. all hidden by logic) are dropped. */
+function paginate(questions) {
+  const pages = [];
+  let page = { id: "start", title: "", description: "", questions: [] };
+  for (const q of questions) {
+    if (!isSection(q)) {
+      page.questions.push(q);
+      continue;
+    }
+    if (page.questions.length) pages.push(page);
+    page = { id: q.id, title: q.prompt, description: q.description || "", questions: [] };
+  }
+  if (page.questions.length) pages.push(page);
+  return pages;
+}
+
+function move(list, from, to) {
+  const next = [...list];
+  next.splice(to, 0, ...next.splice(from, 1));
+  return next;
+}
+
+// -------------------- Piping --------------------
+// Prompts, option labels and section text may contain {{qN}}, replaced with the answer to question N.
+// {{q?}} marks a reference whose question was deleted.
+const PIPE_RE = /\{\{\s*q(\d+|\?)\s*\}\}/gi;
+
+function formatAnswer(value) {
+  if (value === undefined || value === null) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return Object.entries(value).map(([row, col]) => `${row}: ${col}`).join("; ");
+  return String(value);
+}
+
+function pipe(text, questions, answers) {
+  if (!text || !text.includes("{{")) return text;
+  const ids = Object.fromEntries(Object.entries(questionNumbers(questions)).map(([id, n]) => [n, id]));
+  return text.replace(PIPE_RE, (_, n) => formatAnswer(answers[ids[n]]) || "…");
+}
+
+/**
+ * Copy of `q` with its prompt and description piped. Options and rows keep their raw text, since that's what answers
+ * store and logic, results and exports compare against; their piped versions go in optionLabels/rowLabels for display.
+ */
+function pipeQuestion(q, questions, answers) {
+  const p = (text) => pipe(text, questions, answers);
+  return {
+    ...q,
+    prompt: p(q.prompt),
+    description: p(q.description),
+    optionLabels: q.options?.map(p),
+    rowLabels: q.rows?.map(p),
+  };
+}
+
+/** Author-facing warnings for the {{qN}} references in `texts`, as used by question number `self`. */
+function pipeIssues(texts, numbers, self) {
+  const total = Object.keys(numbers).length;
+  const issues = new Set();
+  texts.filter(Boolean).forEach((text) => {
+    for (const [token, n] of text.matchAll(PIPE_RE)) {
+      if (n === "?" || Number(n) > total || Number(n) < 1) issues.add(`${token} refers to a question that no longer exists.`);
+      else if (Number(n) >= self) issues.add(`${token} refers to Q${n}, which isn't answered yet at this point.`);
+    }
+  });
+  return [...issues];
+}
+
+/** Keeps {{qN}} pointing at the same question after a reorder or delete turns `before` into `after`. */
+function retargetPipes(before, after) {
+  const oldIds = Object.fromEntries(Object.entries(questionNumbers(before)).map(([id, n]) => [n, id]));
+  const newNumbers = questionNumbers(after);
+  const fix = (text) =>
+    text && text.replace(PIPE_RE, (token, n) => {
+      if (n === "?") return token;
+      const id = oldIds[n];
+      return id && newNumbers[id] ? `{{q${newNumbers[id]}}}` : "{{q?}}";
+    });
+  return after.map((q) => ({
+    ...q,
+    prompt: fix(q.prompt),
+    ...(q.description !== undefined && { description: fix(q.description) }),
+    ...(q.options && { options: q.options.map(fix) }),
+    ...(q.rows && { rows: q.rows.map(fix) }),
+  }));
+}
+
+/**
+ * `q` as a new question for another survey. Its {{qN}} pipes numbered the source survey's questions, so they become
+ * {{q?}} for the author to re-point, and its show-if rule, which names a question there, is cleared. endIf only
+ * looks at the question's own answer, so it carries over.
+ */
+function detachQuestion(q) {
+  const unpin = (text) => text && text.replace(PIPE_RE, "{{q?}}");
+  return {
+    ...q,
+    id: uid(),
+    showIf: undefined,
+    prompt: unpin(q.prompt),
+    ...(q.description !== undefined && { description: unpin(q.description) }),
+    ...(q.options && { options: q.options.map(unpin) }),
+    ...(q.rows && { rows: q.rows.map(unpin) }),
+  };
+}
+
+// -------------------- Randomization --------------------
+/** Deterministic PRNG (mulberry32) so a stored seed always reproduces the same order. */
+function seededRandom(seed) {
+  let a = [...seed].reduce((h, ch) => Math.imul(h ^ ch.charCodeAt(0), 16777619), 2166136261);
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Shuffles (or rotates by a random offset) the items for which `fixed` is false; fixed items keep their index. */
+function rearrange(items, fixed, rand, mode = "shuffle") {
+  const slots = items.map((item, i) => (fixed(item) ? -1 : i)).filter((i) => i >= 0);
+  const free = slots.map((i) => items[i]);
+  if (mode === "rotate") {
+    const k = Math.floor(rand() * free.length);
+    free.push(...free.splice(0, k));
+  } else {
+    for (let i = free.length - 1; i > 0; i--) {
+      const j = Math.floor(rand() * (i + 1));
+      [free[i], free[j]] = [free[j], free[i]];
+    }
+  }
+  const out = [...items];
+  slots.forEach((slot, i) => (out[slot] = free[i]));
+  return out;
+}
+
+/** Questions that use or feed display logic or piping; moving them could break the branch, so they stay put. */
+function anchoredIds(questions) {
+  const byNumber = Object.fromEntries(Object.entries(questionNumbers(questions)).map(([id, n]) => [n, id]));
+  const ids = new Set();
+  questions.forEach((q) => {
+    if (q.showIf || q.endIf) ids.add(q.id);
+    if (q.showIf) ids.add(q.showIf.questionId);
+    const text = [q.prompt, q.description, ...(q.options || []), ...(q.rows || [])].filter(Boolean).join(" ");
+    for (const [, n] of text.matchAll(PIPE_RE)) {
+      ids.add(q.id);
+      if (byNumber[n]) ids.add(byNumber[n]);
+    }
+  });
+  return ids;
+}
+
+/** @returns {PresentedOrder} the order one respondent sees, derived only from the survey and their `seed` */
+function presentationOrder(survey, seed) {
+  const { questions: shuffleQuestions = false, blocks = "fixed" } = survey.randomize || {};
+  const rand = seededRandom(seed);
+  const anchored = anchoredIds(survey.questions);
+
+  // A block is a section header plus its questions; questions before the first section form a block that never moves.
+  const groups = [];
+  survey.questions.forEach((q) => {
+    if (isSection(q) || groups.length === 0) groups.push([]);
+    groups[groups.length - 1].push(q);
+  });
+  let ordered = groups.map((group) =>
+    shuffleQuestions ? rearrange(group, (q) => isSection(q) || anchored.has(q.id), rand) : group
+  );
+  if (blocks !== "fixed") {
+    ordered = rearrange(ordered, (group) => !isSection(group[0]) || group.some((q) => anchored.has(q.id)), rand, blocks);
+  }
+
+  const options = {};
+  survey.questions.forEach((q) => {
+    if (!q.shuffleOptions || !CHOICE_TYPES.includes(q.type)) return;
+    const pinned = new Set(q.pinned || []);
+    options[q.id] = rearrange(q.options || [], (o) => pinned.has(o), seededRandom(`${seed}:${q.id}`));
+  });
+  return { questions: ordered.flat().map((q) => q.id), options };
+}
+
+/** Puts `questions` (and their options) into a respondent's presented order; anything the order doesn't know keeps its place at the end. */
+function applyOrder(questions, order) {
+  const rank = new Map(order.questions.map((id, i) => [id, i]));
+  return [...questions]
+    .sort((a, b) => (rank.get(a.id) ?? Infinity) - (rank.get(b.id) ?? Infinity))
+    .map((q) => {
+      const shown = order.options[q.id];
+      if (!shown) return q;
+      const options = q.options || [];
+      return { ...q, options: [...shown.filter((o) => options.includes(o)), ...options.filter((o) => !shown.includes(o))] };
+    });
+}
+
+// -------------------- Statistics --------------------
+/** ln Γ(z), Lanczos approximation. */
+function lnGamma(z) {
+  const c = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = z;
+  let series = 1.000000000190015;
+  c.forEach((k) => (series += k / ++y));
+  const t = z + 5.5;
+  return (z + 0.5) * Math.log(t) - t + Math.log((2.5066282746310005 * series) / z);
+}
+
+/** Regularized upper incomplete gamma Q(a, x): a series below a + 1, a continued fraction above. */
+function upperGamma(a, x) {
+  if (x <= 0) return 1;
+  const front = Math.exp(-x + a * Math.log(x) - lnGamma(a));
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-12; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * front;
+  }
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-12) break;
+  }
+  return front * h;
+}
+
+/** Pearson's test of independence. Empty rows/columns are ignored; null when fewer than 2×2 remain. */
+function chiSquare(counts) {
+  const rows = counts.filter((row) => row.some(Boolean));
+  const keep = (rows[0] || []).map((_, ci) => rows.some((row) => row[ci] > 0));
+  const table = rows.map((row) => row.filter((_, ci) => keep[ci]));
+  if (table.length < 2 || table[0].length < 2) return null;
+  const rowTotals = table.map((row) => row.reduce((a, b) => a + b, 0));
+  const colTotals = table[0].map((_, ci) => table.reduce((a, row) => a + row[ci], 0));
+  const n = rowTotals.reduce((a, b) => a + b, 0);
+  let stat = 0;
+  let sparseCells = 0;
+  table.forEach((row, ri) =>
+    row.forEach((observed, ci) => {
+      const expected = (rowTotals[ri] * colTotals[ci]) / n;
+      if (expected < 5) sparseCells++;
+      stat += (observed - expected) ** 2 / expected;
+    })
+  );
+  const df = (table.length - 1) * (table[0].length - 1);
+  return { stat, df, p: upperGamma(df / 2, stat / 2), sparse: sparseCells > 0.2 * table.length * table[0].length };
+}
+
+// -------------------- Validation --------------------
+const PATTERNS = {
+  email: { label: "Email address", regex: /^[^\s@]+@[^\s@]+\.[^\s@]+$/, error: "Please enter a valid email address." },
+  phone: { label: "Phone number", regex: /^\+?[\d\s().-]{7,20}$/, error: "Please enter a valid phone number." },
+};
+
+function toRegex(source) {
+  try {
+    return source ? new RegExp(source) : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Returns the error to show under the field, or null. The author's `message` overrides the built-in text. */
+function validateAnswer(q, value) {
+  if (!isAnswered(q, value)) return q.required ? "This question is required." : null;
+  const rules = q.validation || {};
+  const fail = (fallback) => rules.message || fallback;
+
+  if (q.type === "text") {
+    const text = String(value).trim();
+    if (rules.minLength && text.length < rules.minLength) return fail(`Please enter at least ${rules.minLength} characters.`);
+    if (rules.maxLength && text.length > rules.maxLength) return fail(`Please keep it to ${rules.maxLength} characters or fewer.`);
+    const regex = rules.pattern === "custom" ? toRegex(rules.regex) : PATTERNS[rules.pattern]?.regex;
+    if (regex && !regex.test(text)) return fail(PATTERNS[rules.pattern]?.error || "Please match the requested format.");
+  }
+  if (q.type === "number") {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fail("Please enter a number.");
+    if (q.min !== undefined && n < q.min) return fail(`Please enter ${q.min} or more.`);
+    if (q.max !== undefined && n > q.max) return fail(`Please enter ${q.max} or less.`);
+  }
+  if (q.type === "multi") {
+    if (rules.minSelect && value.length < rules.minSelect) return fail(`Please select at least ${rules.minSelect}.`);
+    if (rules.maxSelect && value.length > rules.maxSelect) return fail(`Please select no more than ${rules.maxSelect}.`);
+  }
+  return null;
+}
+
+// -------------------- Logic --------------------
+const LOGIC_OPS = [
+  { value: "eq", label: "equals" },
+  { value: "neq", label: "does not equal" },
+  { value: "lt", label: "is less than" },
+  { value: "gt", label: "is greater than" },
+];
+
+/**
+ * `initial` may be a factory; `migrate` upgrades whatever shape was stored before and throws if it can't. Only used
+ * for preferences (the report layout), so a value that can't be read or saved quietly falls back to the default.
+ */
+function useLocalStorage(key, initial, migrate = (x) => x) {
+  const fallback = () => (typeof initial === "function" ? initial() : initial);
   const [state, setState] = useState(() => {
+    let raw = null;
     try {
-      const raw = localStorage.getItem(key);
-      return raw ? JSON.parse(raw) : initial;
+      raw = localStorage.getItem(key);
+      return raw ? migrate(JSON.parse(raw)) : fallback();
     } catch {
-      return initial;
+      // Set aside whatever couldn't be read rather than overwrite it with a fresh start.
+      if (raw) {
+        try {
+          localStorage.setItem(`${key}:unreadable`, raw);
+        } catch {}
+      }
+      return fallback();
     }
   });
   useEffect(() => {
@@ -51,526 +459,3970 @@ function useLocalStorage(key, initial) {
   return [state, setState];
 }
 
-// -------------------- Main App --------------------
-export default function SurveyApp() {
-  const [store, setStore] = useLocalStorage(LS_KEY, {
-    survey: /** @type {Survey} */ ({
-      title: "Customer Feedback",
-      description: "Answer & earn real-looking (simulated) rewards.",
-      questions: [
-        { id: uid(), type: "rating", prompt: "Rate your overall experience", required: true, max: 5 },
-        { id: uid(), type: "mcq", prompt: "What did you like most?", required: false, options: ["Design", "Performance", "Price", "Support"] },
-        { id: uid(), type: "text", prompt: "Any suggestions?", required: false },
-      ],
-    }),
-    responses: /** @type {Response[]} */ ([]),
-    wallet: /** @type {Wallet} */ ({ balance: 0, payouts: [] }),
+/** @returns {Survey} */
+function blankSurvey(patch = {}) {
+  return { id: uid(), title: "New Survey", description: "", questions: [], createdAt: Date.now(), versions: [], ...patch };
+}
+
+/** @returns {Store} */
+function initialStore() {
+  const survey = blankSurvey({
+    title: "Customer Feedback",
+    description: "Answer & earn real-looking (simulated) rewards.",
+    questions: [
+      { id: uid(), type: "rating", prompt: "Rate your overall experience", required: true, max: 5 },
+      { id: uid(), type: "mcq", prompt: "What did you like most?", required: false, options: ["Design", "Performance", "Price", "Support"] },
+      { id: uid(), type: "text", prompt: "Any suggestions?", required: false },
+    ],
   });
+  const published = { ...survey, versions: [snapshot(survey, 1)] };
+  return { schemaVersion: SCHEMA_VERSION, surveys: [published], responses: { [survey.id]: [] }, partials: {}, activeId: survey.id, wallet: { balance: 0, payouts: [] }, templates: [], bank: [], autosaves: {}, segments: {} };
+}
 
-  const { survey, responses, wallet } = store;
-  const [tab, setTab] = useState("build");
+/** The survey_app_v1 app's data, upgraded, on first run; otherwise a fresh store. `warn` says why the upgrade failed. */
+function firstRunStore(warn) {
+  try {
+    const legacy = localStorage.getItem(LEGACY_LS_KEY);
+    if (legacy) return migrateStore(JSON.parse(legacy));
+  } catch (e) {
+    warn(`Your survey_app_v1 surveys couldn't be upgraded. ${e instanceof SyntaxError ? "They aren't valid JSON." : e.message} They were left in localStorage and a fresh workspace was started.`);
+  }
+  return initialStore();
+}
 
-  const saveSurvey = (nextSurvey) => setStore((s) => ({ ...s, survey: nextSurvey }));
-  const addResponse = (resp) =>
-    setStore((s) => ({
-      ...s,
-      responses: [...s.responses, resp],
-      wallet: { ...s.wallet, balance: s.wallet.balance + REWARD_PER_SUBMISSION },
-    }));
-  const resetData = () =>
-    setStore({
-      survey: { title: "New Survey", description: "", questions: [] },
-      responses: [],
-      wallet: { balance: 0, payouts: [] },
-    });
+/**
+ * Runs `raw` through STORE_MIGRATIONS up to SCHEMA_VERSION, then fills in fields added since: surveys saved
+ * before versioning get their current content published as v1, and responses get ids. Throws on invalid data.
+ */
+function migrateStore(raw) {
+  if (!isObject(raw)) throw new Error("Saved data isn't an object.");
+  let version = schemaVersionOf(raw);
+  if (version > SCHEMA_VERSION) throw new Error(`Saved data is from a newer version of this app (schema ${version}).`);
+  if (version < 3) assertValid(legacyProblems(raw), "Saved data");
+  let store = raw;
+  for (; version < SCHEMA_VERSION; version++) store = STORE_MIGRATIONS[version](store);
+
+  const responses = { ...store.responses };
+  const surveys = store.surveys.map((s) => {
+    const versioned = withVersions(s, responses[s.id] || []);
+    responses[s.id] = withIds(versioned.responses);
+    return versioned.survey;
+  });
+  const migrated = { partials: {}, templates: [], bank: [], autosaves: {}, segments: {}, ...store, surveys, responses, schemaVersion: SCHEMA_VERSION };
+  assertValid(storeProblems(migrated), "Saved data");
+  return migrated;
+}
 
-  const cashOut = () => {
-    if (wallet.balance < 100) {
-      alert("Minimum cash out is $100.");
-      return;
-    }
-    const amount = Math.floor(wallet.balance / 100) * 100; // multiples of $100
-    const payout = { id: uid(), amount, timestamp: Date.now() };
-    setStore((s) => ({
-      ...s,
-      wallet: { balance: s.wallet.balance - amount, payouts: [payout, ...s.wallet.payouts] },
-    }));
-    alert(`Cash out requested: $${amount}. (Simulated)`);
+/** Gives an unversioned survey a v1 snapshot of its current content and tags untagged responses with it. */
+function withVersions(survey, responses) {
+  if (survey.versions) return { survey, responses };
+  const v1 = { ...snapshot(survey, 1), publishedAt: survey.createdAt || Date.now() };
+  return { survey: { ...survey, versions: [v1] }, responses: responses.map((r) => ({ version: 1, ...r })) };
+}
+
+/** Responses saved before they had ids get one, so they can be tagged and edited individually. */
+const withIds = (responses) => responses.map((r) => (r.id ? r : { ...r, id: uid() }));
+
+/** Adds `survey` (with its responses) to the library under a fresh id and makes it active. */
+function addToLibrary(store, survey, responses = []) {
+  const versioned = withVersions(survey, responses);
+  const entry = blankSurvey({ ...versioned.survey, id: uid(), createdAt: Date.now(), archived: false });
+  return {
+    ...store,
+    surveys: [...store.surveys, entry],
+    responses: { ...store.responses, [entry.id]: withIds(versioned.responses) },
+    activeId: entry.id,
   };
+}
 
-  return (
-    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white text-slate-900 p-6">
-      <div className="max-w-5xl mx-auto space-y-6">
-        <header className="flex items-center justify-between">
-          <div>
-            <h1 className="text-2xl sm:text-3xl font-bold tracking-tight">📋 Survey App + Rewards</h1>
-            <p className="text-sm text-slate-500">Earn <span className="font-semibold">${REWARD_PER_SUBMISSION}.00</span> per completed submission (demo wallet, no real payouts).</p>
-          </div>
-          <div className="flex items-center gap-2">
-            <WalletBar wallet={wallet} onCashOut={cashOut} />
-            <ExportImport survey={survey} setStore={setStore} />
-            <Button variant="destructive" onClick={resetData} className="rounded-2xl">Reset</Button>
-          </div>
-        </header>
+// -------------------- Storage --------------------
+// The store lives in IndexedDB as one record per survey, response, partial, autosave list and segment list, plus a
+// "meta" record for the rest. Updates are immutable, so a record whose object is unchanged needn't be written again.
+const DB_RECORDS = "records";
+
+function openDatabase(name) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(DB_RECORDS);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
 
-        <Tabs value={tab} onValueChange={setTab} className="w-full">
-          <TabsList className="grid w-full grid-cols-3 rounded-2xl">
-            <TabsTrigger value="build">Build</TabsTrigger>
-            <TabsTrigger value="collect">Collect</TabsTrigger>
-            <TabsTrigger value="results">Results</TabsTrigger>
-          </TabsList>
+const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
 
-          <TabsContent value="build" className="mt-4">
-            <Builder survey={survey} onChange={saveSurvey} />
-          </TabsContent>
-          <TabsContent value="collect" className="mt-4">
-            <Collector survey={survey} onSubmit={addResponse} />
-          </TabsContent>
-          <TabsContent value="results" className="mt-4">
-            <Results survey={survey} responses={responses} wallet={wallet} />
-          </TabsContent>
-        </Tabs>
-      </div>
-    </div>
-  );
+const transactionDone = (tx) =>
+  new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error("The write was aborted."));
+  });
+
+/** @returns {Map<string, { key: string[]; value: any }>} keyed by the record key as JSON */
+function storeRecords(store) {
+  const { surveys, responses, partials, autosaves, segments, ...meta } = store;
+  const records = [[["meta"], { ...meta, surveyOrder: surveys.map((s) => s.id) }]];
+  surveys.forEach((s) => records.push([["survey", s.id], s]));
+  Object.entries(responses).forEach(([sid, list]) => list.forEach((r) => records.push([["response", sid, r.id], r])));
+  Object.entries(partials).forEach(([sid, list]) => list.forEach((p) => records.push([["partial", sid, p.id], p])));
+  Object.entries(autosaves).forEach(([sid, list]) => records.push([["autosaves", sid], list]));
+  Object.entries(segments).forEach(([sid, list]) => records.push([["segments", sid], list]));
+  return new Map(records.map(([key, value]) => [JSON.stringify(key), { key, value }]));
 }
 
-function WalletBar({ wallet, onCashOut }) {
-  return (
-    <div className="flex items-center gap-2">
-      <Card className="rounded-2xl shadow-sm">
-        <CardContent className="px-3 py-2 flex items-center gap-2 text-sm">
-          <Wallet className="h-4 w-4" />
-          <span className="text-slate-600">Balance</span>
-          <span className="font-semibold">${wallet.balance.toFixed(2)}</span>
-          <Button size="sm" variant="default" onClick={onCashOut} className="rounded-xl ml-2 flex items-center gap-1">
-            <DollarSign className="h-4 w-4" /> Cash out
-          </Button>
-        </CardContent>
-      </Card>
-    </div>
-  );
+/** Inverse of storeRecords; null when there's no meta record, i.e. nothing was saved yet. */
+function storeFromRecords(keys, values) {
+  const parts = { surveys: {}, responses: {}, partials: {}, autosaves: {}, segments: {} };
+  let meta = null;
+  keys.forEach(([kind, sid], i) => {
+    if (kind === "meta") meta = values[i];
+    else if (kind === "survey") parts.surveys[sid] = values[i];
+    else if (kind === "response" || kind === "partial") {
+      const lists = parts[`${kind}s`];
+      (lists[sid] = lists[sid] || []).push(values[i]);
+    } else if (parts[kind]) parts[kind][sid] = values[i];
+  });
+  if (!meta) return null;
+  const { surveyOrder, ...rest } = meta;
+  const surveys = surveyOrder.map((id) => parts.surveys[id]).filter(Boolean);
+  // Records come back in key order; responses go back into the order they were submitted.
+  const responses = Object.fromEntries(surveys.map((s) => [s.id, (parts.responses[s.id] || []).sort((a, b) => a.timestamp - b.timestamp)]));
+  return { ...rest, surveys, responses, partials: parts.partials, autosaves: parts.autosaves, segments: parts.segments };
 }
 
-// -------------------- Builder --------------------
-function Builder({ survey, onChange }) {
-  const update = (patch) => onChange({ ...survey, ...patch });
-  const updateQuestion = (id, patch) =>
-    update({ questions: survey.questions.map((q) => (q.id === id ? { ...q, ...patch } : q)) });
-  const removeQuestion = (id) => update({ questions: survey.questions.filter((q) => q.id !== id) });
-  const addQuestion = (type) => {
-    /** @type {Question} */
-    const q =
-      type === "mcq"
-        ? { id: uid(), type, prompt: "Multiple choice question", required: false, options: ["Option 1", "Option 2"] }
-        : type === "rating"
-        ? { id: uid(), type, prompt: "Rate from 1–5", required: false, max: 5 }
-        : { id: uid(), type, prompt: "Short answer question", required: false };
-    update({ questions: [...survey.questions, q] });
+// loadError describes a problem found on load and stays up for the session; error is the last failed write.
+/** @typedef {{ loadError: string|null; error: string|null; usage: number|null; quota: number|null }} StorageStatus */
+
+/**
+ * Like useLocalStorage for the whole store, but backed by IndexedDB and asynchronous: the state is null until it
+ * has loaded. Data still under `key` in localStorage is moved over on first load and the old copy left as a backup.
+ * Only records that changed are written; a failed write is reported in the returned status and retried with the
+ * next change, since records count as saved only once their transaction completes. An `initial` factory is passed a
+ * callback that adds to the status's loadError.
+ * @returns {[Store|null, (update: any) => void, StorageStatus]}
+ */
+function usePersistentStore(key, initial, migrate) {
+  const [state, setState] = useState(null);
+  const [status, setStatus] = useState(/** @type {StorageStatus} */ ({ loadError: null, error: null, usage: null, quota: null }));
+  const db = useRef(null);
+  const saved = useRef(new Map());
+  const queue = useRef(Promise.resolve());
+
+  // Usage is only shown when the browser will tell; some refuse (e.g. in private windows), which isn't an error.
+  const estimate = async () => {
+    try {
+      const { usage = null, quota = null } = (await navigator.storage?.estimate?.()) || {};
+      setStatus((s) => ({ ...s, usage, quota }));
+    } catch {}
   };
 
-  return (
-    <div className="grid md:grid-cols-3 gap-4">
-      <Card className="md:col-span-2 rounded-2xl shadow-sm">
-        <CardHeader>
-          <CardTitle className="flex items-center justify-between">
-            <span>Survey Details</span>
-            <div className="flex gap-2">
-              <Button size="sm" variant="outline" onClick={() => addQuestion("text")} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>Text</Button>
-              <Button size="sm" variant="outline" onClick={() => addQuestion("mcq")} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>MCQ</Button>
-              <Button size="sm" variant="outline" onClick={() => addQuestion("rating")} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>Rating</Button>
-            </div>
-          </CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-4">
-          <div className="grid gap-2">
-            <Label>Title</Label>
-            <Input value={survey.title} onChange={(e) => update({ title: e.target.value })} placeholder="My awesome survey" className="rounded-2xl"/>
-          </div>
-          <div className="grid gap-2">
-            <Label>Description</Label>
-            <Textarea value={survey.description} onChange={(e) => update({ description: e.target.value })} placeholder="Explain what this survey is about" className="rounded-2xl"/>
-          </div>
+  useEffect(() => {
+    let cancelled = false;
+    const warn = (message) => setStatus((s) => ({ ...s, loadError: s.loadError ? `${s.loadError} ${message}` : message }));
+    const fallback = () => (typeof initial === "function" ? initial(warn) : initial);
+    (async () => {
+      try {
+        db.current = await openDatabase(key);
+      } catch (e) {
+        setStatus((s) => ({ ...s, loadError: `Browser storage isn't available (${e?.message || "blocked"}), so changes won't be saved.` }));
+        return !cancelled && setState(fallback());
+      }
+      let keys, values;
+      try {
+        const tx = db.current.transaction(DB_RECORDS, "readonly");
+        [keys, values] = await Promise.all([requestResult(tx.objectStore(DB_RECORDS).getAllKeys()), requestResult(tx.objectStore(DB_RECORDS).getAll())]);
+      } catch (e) {
+        // Without knowing what's saved, writing could clobber it, so this session stays unsaved.
+        db.current = null;
+        setStatus((s) => ({ ...s, loadError: `Saved surveys couldn't be read (${e?.message || "unknown error"}), so changes won't be saved.` }));
+        return !cancelled && setState(fallback());
+      }
+      keys.forEach((k, i) => saved.current.set(JSON.stringify(k), { key: k, value: values[i] }));
+      let loaded = null;
+      try {
+        const stored = storeFromRecords(keys, values);
+        if (stored) loaded = migrate(stored);
+        // Records that migration left as they were count as saved, so loading doesn't rewrite the whole store.
+        if (loaded) {
+          storeRecords(loaded).forEach((r, id) => {
+            const before = saved.current.get(id);
+            if (before && stableJSON(before.value) === stableJSON(r.value)) saved.current.set(id, r);
+          });
+        }
+      } catch (e) {
+        // Keep what couldn't be read as one record, out of the way of the fresh store that replaces it. The fresh
+        // store's first save deletes the originals, so if the copy can't be written nothing may be saved at all.
+        try {
+          const backup = db.current.transaction(DB_RECORDS, "readwrite");
+          backup.objectStore(DB_RECORDS).put({ keys, values }, ["unreadable", Date.now()]);
+          await transactionDone(backup);
+          setStatus((s) => ({ ...s, loadError: `Your saved surveys couldn't be loaded. ${e.message} They were set aside in browser storage and a fresh workspace was started.` }));
+        } catch (failure) {
+          db.current = null;
+          setStatus((s) => ({ ...s, loadError: `Your saved surveys couldn't be loaded or set aside (${failure?.message || "unknown error"}). ${e.message} They were left untouched, so changes in this session won't be saved.` }));
+        }
+      }
+      if (!loaded && !keys.some(([kind]) => kind === "meta")) {
+        let raw = null;
+        try {
+          raw = localStorage.getItem(key);
+          if (raw) loaded = migrate(JSON.parse(raw));
+        } catch (e) {
+          setStatus((s) => ({ ...s, loadError: `Your older saved surveys couldn't be loaded. ${e instanceof SyntaxError ? "They aren't valid JSON." : e.message} They were left in localStorage and a fresh workspace was started.` }));
+        }
+      }
+      if (!cancelled) setState(loaded || fallback());
+      estimate();
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, [key]);
 
-          <Separator className="my-2"/>
+  useEffect(() => {
+    if (!state || !db.current) return;
+    const records = storeRecords(state);
+    // Each link ends in its own catch, so one failed write can't leave the queue rejected and skip every later save.
+    queue.current = queue.current
+      .then(async () => {
+        const meta = JSON.stringify(records.get('["meta"]').value);
+        const puts = [...records].filter(([id, r]) => {
+          const before = saved.current.get(id);
+          return !before || (id === '["meta"]' ? JSON.stringify(before.value) !== meta : before.value !== r.value);
+        });
+        const deletes = [...saved.current.keys()].filter((id) => !records.has(id) && !id.startsWith('["unreadable"'));
+        if (puts.length === 0 && deletes.length === 0) return;
+        const tx = db.current.transaction(DB_RECORDS, "readwrite");
+        const objects = tx.objectStore(DB_RECORDS);
+        puts.forEach(([, r]) => objects.put(r.value, r.key));
+        deletes.forEach((id) => objects.delete(saved.current.get(id).key));
+        await transactionDone(tx);
+        puts.forEach(([id, r]) => saved.current.set(id, r));
+        deletes.forEach((id) => saved.current.delete(id));
+        setStatus((s) => (s.error ? { ...s, error: null } : s));
+        await estimate();
+      })
+      .catch((e) => {
+        const full = e?.name === "QuotaExceededError";
+        setStatus((s) => ({ ...s, error: full ? "Browser storage is full, so your latest changes weren't saved." : `Your latest changes weren't saved (${e?.message || "unknown error"}).` }));
+        return estimate();
+      });
+  }, [state]);
 
-          <div className="space-y-4">
-            <AnimatePresence>
-              {survey.questions.map((q, idx) => (
-                <motion.div key={q.id} initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -6 }}>
-                  <Card className="rounded-2xl border-slate-200">
-                    <CardHeader className="pb-2">
-                      <CardTitle className="text-base flex items-center justify-between">
-                        <span className="text-slate-700">Q{idx + 1} · {q.type.toUpperCase()}</span>
-                        <div className="flex items-center gap-3">
-                          <div className="flex items-center gap-2 text-sm text-slate-500">
-                            <Switch checked={q.required} onCheckedChange={(v) => updateQuestion(q.id, { required: v })} />
-                            <span>Required</span>
-                          </div>
+  return [state, setState, status];
+}
+
+const formatBytes = (n) => (n >= 1e9 ? `${(n / 1e9).toFixed(1)} GB` : n >= 1e6 ? `${(n / 1e6).toFixed(1)} MB` : `${Math.ceil(n / 1e3)} KB`);
+
+/** Storage usage, and a warning that stays up while saving is failing. */
+function StorageStatusBar({ status }) {
+  const share = status.usage !== null && status.quota ? status.usage / status.quota : null;
+  return (
+    <>
+      {status.loadError && <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">{status.loadError}</div>}
+      {status.error && (
+        <div className="rounded-xl border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+          {status.error} Export your surveys to keep a copy, then free up space by deleting old surveys or responses.
+        </div>
+      )}
+      {share !== null && (
+        <p className={`text-xs ${share > 0.8 ? "text-amber-700" : "text-slate-500"}`}>
+          Storage: {formatBytes(status.usage)} of {formatBytes(status.quota)} used ({Math.round(share * 100)}%)
+        </p>
+      )}
+    </>
+  );
+}
+
+// -------------------- Schema --------------------
+// Stored and exported data carry `schemaVersion`. Older blobs have none and are recognised by shape:
+// 1 = survey_app_v1's `{ survey, responses }`, 2 = the single-survey rewards app's `{ survey, responses, wallet }`,
+// 3 = the survey library. Exports hold one survey and use the same numbers.
+const SCHEMA_VERSION = 3;
+const LEGACY_LS_KEY = "survey_app_v1";
+
+const isObject = (x) => x !== null && typeof x === "object" && !Array.isArray(x);
+
+function schemaVersionOf(raw) {
+  if (Number.isInteger(raw.schemaVersion)) return raw.schemaVersion;
+  if (raw.survey) return raw.wallet ? 2 : 1;
+  return 3;
+}
+
+/** `STORE_MIGRATIONS[n]` upgrades a stored blob from schema n to n + 1. */
+const STORE_MIGRATIONS = {
+  1: (raw) => ({ ...raw, wallet: { balance: 0, payouts: [] } }),
+  2: (raw) => {
+    const survey = { createdAt: Date.now(), ...raw.survey, id: raw.survey.id || uid() };
+    return { surveys: [survey], responses: { [survey.id]: raw.responses || [] }, activeId: survey.id, wallet: raw.wallet };
+  },
+};
+
+// The *Problems checkers return every issue found as "path: what's wrong", so a bad file can be fixed in one go.
+function questionProblems(q, path) {
+  if (!isObject(q)) return [`${path}: should be an object`];
+  const out = [];
+  if (typeof q.id !== "string" || !q.id) out.push(`${path}.id: missing`);
+  if (!QTYPE_LABELS[q.type]) out.push(`${path}.type: "${q.type}" is not a question type`);
+  if (typeof q.prompt !== "string") out.push(`${path}.prompt: should be text`);
+  const texts = (list) => Array.isArray(list) && list.every((x) => typeof x === "string");
+  if ((CHOICE_TYPES.includes(q.type) || q.type === "likert") && !texts(q.options)) out.push(`${path}.options: should be a list of text`);
+  if (q.type === "likert" && !texts(q.rows)) out.push(`${path}.rows: should be a list of text`);
+  return out;
+}
+
+function questionListProblems(questions, path) {
+  if (!Array.isArray(questions)) return [`${path}: should be a list`];
+  const out = questions.flatMap((q, i) => questionProblems(q, `${path}[${i}]`));
+  const ids = questions.map((q) => q?.id).filter(Boolean);
+  ids.filter((id, i) => ids.indexOf(id) !== i).forEach((id) => out.push(`${path}: question id "${id}" is used twice`));
+  return out;
+}
+
+/** `versioned` surveys (schema 3) also need an id and their published versions. */
+function surveyProblems(s, path, versioned) {
+  if (!isObject(s)) return [`${path}: should be an object`];
+  const out = [];
+  if (typeof s.title !== "string") out.push(`${path}.title: should be text`);
+  out.push(...questionListProblems(s.questions, `${path}.questions`));
+  if (!versioned) return out;
+  if (typeof s.id !== "string" || !s.id) out.push(`${path}.id: missing`);
+  if (!Array.isArray(s.versions)) out.push(`${path}.versions: should be a list`);
+  else
+    s.versions.forEach((v, i) => {
+      if (!Number.isInteger(v?.version)) out.push(`${path}.versions[${i}].version: should be a whole number`);
+      out.push(...questionListProblems(v?.questions, `${path}.versions[${i}].questions`));
+    });
+  return out;
+}
+
+function responseProblems(r, path, versioned) {
+  if (!isObject(r)) return [`${path}: should be an object`];
+  const out = [];
+  if (!isObject(r.answers)) out.push(`${path}.answers: should be an object`);
+  if (!Number.isFinite(r.timestamp)) out.push(`${path}.timestamp: should be a number`);
+  if (versioned && (typeof r.id !== "string" || !Number.isInteger(r.version))) out.push(`${path}: needs an id and a version`);
+  return out;
+}
+
+function responseListProblems(responses, path, versioned) {
+  if (!Array.isArray(responses)) return [`${path}: should be a list`];
+  return responses.flatMap((r, i) => responseProblems(r, `${path}[${i}]`, versioned));
+}
+
+/** A schema 1 or 2 blob, before it is migrated. */
+function legacyProblems(raw) {
+  return [...surveyProblems(raw.survey, "survey", false), ...responseListProblems(raw.responses || [], "responses", false)];
+}
+
+function storeProblems(store) {
+  const out = [];
+  if (!Array.isArray(store.surveys) || store.surveys.length === 0) return ["surveys: should be a non-empty list"];
+  store.surveys.forEach((s, i) => out.push(...surveyProblems(s, `surveys[${i}]`, true)));
+  if (!isObject(store.responses)) out.push("responses: should be an object keyed by survey id");
+  else Object.entries(store.responses).forEach(([id, list]) => out.push(...responseListProblems(list, `responses.${id}`, true)));
+  if (!isObject(store.wallet) || !Number.isFinite(store.wallet.balance) || !Array.isArray(store.wallet.payouts)) {
+    out.push("wallet: should have a numeric balance and a list of payouts");
+  }
+  ["templates", "bank"].forEach((key) => Array.isArray(store[key]) || out.push(`${key}: should be a list`));
+  ["partials", "autosaves", "segments"].forEach((key) => isObject(store[key]) || out.push(`${key}: should be an object keyed by survey id`));
+  return out;
+}
+
+function assertValid(problems, what) {
+  if (problems.length === 0) return;
+  const shown = problems.slice(0, 8).map((p) => `• ${p}`);
+  if (problems.length > shown.length) shown.push(`• …and ${problems.length - shown.length} more`);
+  throw new Error(`${what} is invalid:\n${shown.join("\n")}`);
+}
+
+/** Checks an exported file and upgrades it to `{ survey, responses }` in the current shape. Throws readable errors. */
+function readExport(raw) {
+  if (!isObject(raw)) throw new Error("This file doesn't contain a survey export.");
+  if (isObject(raw.users) && isObject(raw.surveys)) throw new Error("This is a Survey Scorpio backup, which can't be imported here.");
+  if (Array.isArray(raw.surveys)) throw new Error("This is a full backup of the app, not a survey export.");
+  if (!raw.survey) throw new Error("This file has no survey in it.");
+  const version = schemaVersionOf(raw);
+  if (version > SCHEMA_VERSION) throw new Error(`This file is from a newer version of this app (schema ${version}).`);
+  assertValid([...surveyProblems(raw.survey, "survey", false), ...responseListProblems(raw.responses || [], "responses", false)], "This file");
+  const { survey, responses } = withVersions(raw.survey, raw.responses || []);
+  const upgraded = { survey: { ...survey, id: survey.id || uid() }, responses: withIds(responses) };
+  assertValid([...surveyProblems(upgraded.survey, "survey", true), ...responseListProblems(upgraded.responses, "responses", true)], "This file");
+  return upgraded;
+}
+
+// -------------------- Templates --------------------
+const tq = (type, prompt, patch = {}) => ({ ...newQuestion(type), prompt, ...patch });
+
+/** @type {Template[]} */
+const BUILT_IN_TEMPLATES = [
+  {
+    id: "csat",
+    name: "Customer satisfaction (CSAT)",
+    description: "Satisfaction with a recent interaction, what it was about, and what to improve.",
+    builtIn: true,
+    survey: {
+      title: "Customer Satisfaction",
+      description: "Tell us how we did on your most recent visit.",
+      questions: [
+        tq("rating", "How satisfied were you with your recent experience?", { required: true }),
+        tq("mcq", "What was your visit mainly about?", { options: ["Buying something", "Getting support", "Returning an item", "Just browsing"] }),
+        tq("likert", "How much do you agree with the following?", { rows: ["Staff were helpful", "It was quick", "The problem was solved"] }),
+        tq("text", "What could we have done better?"),
+      ],
+    },
+  },
+  {
+    id: "nps",
+    name: "Net Promoter Score (NPS)",
+    description: "The standard 0–10 recommendation question with a follow-up for the reason.",
+    builtIn: true,
+    survey: {
+      title: "How likely are you to recommend us?",
+      description: "Two quick questions. Thanks for helping us improve.",
+      questions: [
+        tq("nps", "How likely are you to recommend us to a friend or colleague?", { required: true }),
+        tq("text", "What is the main reason for your score of {{q1}}?"),
+      ],
+    },
+  },
+  {
+    id: "pulse",
+    name: "Employee pulse",
+    description: "A short, regular check-in on engagement, workload and support.",
+    builtIn: true,
+    survey: {
+      title: "Weekly Pulse",
+      description: "Anonymous and takes under two minutes.",
+      questions: [
+        tq("likert", "How much do you agree with the following?", {
+          required: true,
+          rows: ["I feel valued for the work I do", "I have what I need to do my job well", "I would recommend this team as a great place to work"],
+        }),
+        tq("rating", "How manageable was your workload this week?"),
+        tq("text", "Is there anything on your mind you'd like to share?"),
+      ],
+    },
+  },
+  {
+    id: "product",
+    name: "Product feedback",
+    description: "Feature usage, ease of use, and the one thing users would change.",
+    builtIn: true,
+    survey: {
+      title: "Product Feedback",
+      description: "Help shape what we build next.",
+      questions: [
+        tq("dropdown", "How often do you use the product?", { required: true, options: ["Daily", "Weekly", "Monthly", "Rarely"] }),
+        tq("multi", "Which features do you use?", { options: ["Dashboard", "Reports", "Integrations", "Mobile app"] }),
+        tq("rating", "How easy is the product to use?"),
+        tq("text", "If you could change one thing, what would it be?"),
+      ],
+    },
+  },
+];
+
+/** Fresh ids for copied questions, with logic references following them; Q-number pipes still line up. */
+function cloneQuestions(questions) {
+  const ids = Object.fromEntries(questions.map((q) => [q.id, uid()]));
+  return questions.map((q) => ({
+    ...q,
+    id: ids[q.id],
+    showIf: q.showIf && ids[q.showIf.questionId] ? { ...q.showIf, questionId: ids[q.showIf.questionId] } : undefined,
+  }));
+}
+
+/** @returns {Survey} a new unpublished draft built from `template` */
+const fromTemplate = (template) =>
+  blankSurvey({ ...template.survey, questions: cloneQuestions(template.survey.questions) });
+
+/** @returns {Template} */
+function toTemplate(survey, name) {
+  const { title, description, questions, randomize } = survey;
+  return { id: uid(), name, description, survey: { title, description, questions: cloneQuestions(questions), randomize } };
+}
+
+// -------------------- Versions --------------------
+/** @returns {SurveyVersion|null} */
+const latestVersion = (survey) => survey.versions[survey.versions.length - 1] || null;
+
+/** The editable part of a survey: what gets published, undone, autosaved and restored. */
+const draftContent = (s) => ({ title: s.title, description: s.description, questions: s.questions, randomize: s.randomize });
+
+/** @returns {SurveyVersion} */
+function snapshot(survey, version) {
+  return { version, publishedAt: Date.now(), ...draftContent(survey) };
+}
+
+function hasUnpublishedChanges(survey) {
+  const latest = latestVersion(survey);
+  return !latest || JSON.stringify(draftContent(latest)) !== JSON.stringify(draftContent(survey));
+}
+
+/** Question-level changes going from `from` to `to`, matched by question id. */
+function diffVersions(from, to) {
+  const before = new Map(from.questions.map((q) => [q.id, q]));
+  const after = new Map(to.questions.map((q) => [q.id, q]));
+  const changes = [];
+  to.questions.forEach((q) => {
+    const old = before.get(q.id);
+    if (!old) return changes.push({ kind: "added", question: q, details: [] });
+    const details = [];
+    if (old.prompt !== q.prompt) details.push(`Prompt: "${old.prompt}" → "${q.prompt}"`);
+    if (old.type !== q.type) details.push(`Type: ${QTYPE_LABELS[old.type]} → ${QTYPE_LABELS[q.type]}`);
+    if (old.required !== q.required) details.push(q.required ? "Now required" : "No longer required");
+    const removed = (old.options || []).filter((o) => !(q.options || []).includes(o));
+    const added = (q.options || []).filter((o) => !(old.options || []).includes(o));
+    if (removed.length) details.push(`Options removed: ${removed.join(", ")}`);
+    if (added.length) details.push(`Options added: ${added.join(", ")}`);
+    if (JSON.stringify(old.rows) !== JSON.stringify(q.rows)) details.push("Rows changed");
+    if (old.max !== q.max || old.min !== q.min) details.push("Scale or range changed");
+    if (JSON.stringify([old.showIf, old.endIf]) !== JSON.stringify([q.showIf, q.endIf])) details.push("Logic changed");
+    if (JSON.stringify(old.validation) !== JSON.stringify(q.validation)) details.push("Validation changed");
+    if (JSON.stringify([old.shuffleOptions, old.pinned]) !== JSON.stringify([q.shuffleOptions, q.pinned])) details.push("Option order changed");
+    if (details.length) changes.push({ kind: "changed", question: q, details });
+  });
+  from.questions.forEach((q) => !after.has(q.id) && changes.push({ kind: "removed", question: q, details: [] }));
+  return changes;
+}
+
+/** For the merged view: answers (and timings, and seen questions of partials) under an old question id move to the id it was mapped to. */
+function remapAnswers(responses, questionMap = {}) {
+  if (Object.keys(questionMap).length === 0) return responses;
+  const remap = (byId) => {
+    const out = {};
+    Object.entries(byId).forEach(([qid, value]) => {
+      const target = questionMap[qid] || qid;
+      if (out[target] === undefined) out[target] = value;
+    });
+    return out;
+  };
+  return responses.map((r) => ({
+    ...r,
+    answers: remap(r.answers),
+    ...(r.timings && { timings: remap(r.timings) }),
+    ...(r.seen && { seen: [...new Set(r.seen.map((qid) => questionMap[qid] || qid))] }),
+  }));
+}
+
+// -------------------- Segments --------------------
+/** @type {ResponseFilter} */
+const EMPTY_FILTER = { conditions: [], status: "all" };
+
+const QUALITY_STATUSES = [
+  { value: "all", label: "Any completion or quality" },
+  { value: "complete", label: "Answered everything they saw" },
+  { value: "skipped", label: "Skipped optional questions" },
+  { value: "clean", label: "Passed quality checks" },
+  { value: "suspect", label: "Failed quality checks" },
+];
+
+const isFiltered = (filter) => filter.conditions.length > 0 || !!filter.from || !!filter.to || filter.status !== "all";
+
+/** The questions a response was given: its own published version, falling back to the latest. */
+function questionsFor(survey, response) {
+  return (survey.versions.find((v) => v.version === response.version) || latestVersion(survey) || survey).questions;
+}
+
+/** How much of what they were shown a respondent answered, plus any signs of low-effort answering. */
+function responseQuality(questions, response) {
+  const reached = visibleQuestions(questions, response.answers).filter((q) => !isSection(q));
+  const answered = reached.filter((q) => isAnswered(q, response.answers[q.id]));
+  const issues = [];
+  reached.forEach((q) => {
+    const value = response.answers[q.id];
+    if (q.type === "likert" && (q.rows || []).length >= 3 && value && new Set(Object.values(value)).size === 1) {
+      issues.push(`Same column for every row of "${q.prompt}"`);
+    }
+  });
+  const texts = reached.filter((q) => q.type === "text" && isAnswered(q, response.answers[q.id]));
+  if (texts.length && texts.every((q) => String(response.answers[q.id]).trim().length < 3)) issues.push("Only one- or two-character text answers");
+  if (response.flagged) issues.push("Flagged as spam");
+  return { reached: reached.length, answered: answered.length, issues };
+}
+
+/**
+ * Responses matching `filter`. Answer conditions use current question ids, so they are checked against the
+ * merged (question-mapped) answers, but the responses come back untouched.
+ */
+function filterResponses(survey, responses, filter) {
+  if (!isFiltered(filter)) return responses;
+  const merged = remapAnswers(responses, survey.questionMap);
+  const from = filter.from ? new Date(`${filter.from}T00:00`).getTime() : -Infinity;
+  const to = filter.to ? new Date(`${filter.to}T23:59:59.999`).getTime() : Infinity;
+  return responses.filter((r, i) => {
+    if (r.timestamp < from || r.timestamp > to) return false;
+    if (!filter.conditions.every((c) => !c.questionId || matches(merged[i].answers[c.questionId], c.op, c.value))) return false;
+    if (filter.status === "all") return true;
+    const quality = responseQuality(questionsFor(survey, r), r);
+    switch (filter.status) {
+      case "complete": return quality.answered === quality.reached;
+      case "skipped": return quality.answered < quality.reached;
+      case "clean": return quality.issues.length === 0;
+      case "suspect": return quality.issues.length > 0;
+      default: return true;
+    }
+  });
+}
+
+// -------------------- Main App --------------------
+export default function SurveyApp() {
+  // Opening a share link shows only that survey, to answer; the recipient's own workspace is never loaded.
+  // Pasting another link into the same tab only changes the hash, so follow it.
+  const [token, setToken] = useState(() => shareToken(window.location.hash));
+  useEffect(() => {
+    const onHashChange = () => setToken(shareToken(window.location.hash));
+    window.addEventListener("hashchange", onHashChange);
+    return () => window.removeEventListener("hashchange", onHashChange);
+  }, []);
+  return token ? <SharedSurvey key={token} token={token} /> : <StoredWorkspace />;
+}
+
+function StoredWorkspace() {
+  const [store, setStore, storage] = usePersistentStore(LS_KEY, firstRunStore, migrateStore);
+  if (!store) return <p className="p-6 text-sm text-slate-500">Loading surveys…</p>;
+  return <Workspace store={store} setStore={setStore} storage={storage} />;
+}
+
+function Workspace({ store, setStore, storage }) {
+  const { surveys, activeId, wallet } = store;
+  const survey = surveys.find((s) => s.id === activeId) || surveys[0];
+  const responses = store.responses[survey.id] || [];
+  const partials = store.partials[survey.id] || [];
+  const [tab, setTab] = useState("build");
+
+  // The active segment belongs to one survey; switching surveys falls back to all responses.
+  const [segmentState, setSegmentState] = useState({ surveyId: null, segmentId: null, filter: EMPTY_FILTER });
+  const segment = segmentState.surveyId === survey.id ? segmentState : { segmentId: null, filter: EMPTY_FILTER };
+  const segments = store.segments[survey.id] || [];
+  const segmentResponses = useMemo(() => filterResponses(survey, responses, segment.filter), [survey, responses, segment.filter]);
+  const segmentPartials = useMemo(() => filterResponses(survey, partials, segment.filter), [survey, partials, segment.filter]);
+  const setSegment = (segmentId, filter) => setSegmentState({ surveyId: survey.id, segmentId, filter });
+  const saveSegment = (name) => {
+    const entry = { id: uid(), name, filter: segment.filter };
+    setStore((s) => ({ ...s, segments: { ...s.segments, [survey.id]: [...(s.segments[survey.id] || []), entry] } }));
+    setSegment(entry.id, entry.filter);
+  };
+  const deleteSegment = (id) => {
+    setStore((s) => ({ ...s, segments: { ...s.segments, [survey.id]: (s.segments[survey.id] || []).filter((x) => x.id !== id) } }));
+    if (segment.segmentId === id) setSegment(null, EMPTY_FILTER);
+  };
+
+  const saveSurvey = (nextSurvey) =>
+    setStore((s) => ({ ...s, surveys: s.surveys.map((x) => (x.id === nextSurvey.id ? nextSurvey : x)) }));
+  const publishSurvey = () =>
+    saveSurvey({ ...survey, versions: [...survey.versions, snapshot(survey, survey.versions.length + 1)] });
+  const mapQuestion = (fromId, toId) => {
+    const { [fromId]: _, ...rest } = survey.questionMap || {};
+    saveSurvey({ ...survey, questionMap: toId ? { ...rest, [fromId]: toId } : rest });
+  };
+  const live = latestVersion(survey);
+  const addResponse = (resp) =>
+    setStore((s) => ({
+      ...s,
+      responses: { ...s.responses, [survey.id]: [...(s.responses[survey.id] || []), resp] },
+      partials: { ...s.partials, [survey.id]: (s.partials[survey.id] || []).filter((p) => p.id !== resp.seed) },
+      wallet: { ...s.wallet, balance: s.wallet.balance + REWARD_PER_SUBMISSION },
+    }));
+  const saveProgress = (partial) =>
+    setStore((s) => ({
+      ...s,
+      partials: { ...s.partials, [survey.id]: [...(s.partials[survey.id] || []).filter((p) => p.id !== partial.id), partial] },
+    }));
+  const patchResponse = (id, patch) =>
+    setStore((s) => ({
+      ...s,
+      responses: { ...s.responses, [survey.id]: (s.responses[survey.id] || []).map((r) => (r.id === id ? { ...r, ...patch(r) } : r)) },
+    }));
+  const tagResponse = (id, questionId, themes) => patchResponse(id, (r) => ({ themes: { ...r.themes, [questionId]: themes } }));
+  const quoteResponse = (id, questionId, quoted) =>
+    patchResponse(id, (r) => ({ quoted: quoted ? [...(r.quoted || []), questionId] : (r.quoted || []).filter((x) => x !== questionId) }));
+  const segmentName = segments.find((x) => x.id === segment.segmentId)?.name;
+  // Reversing takes back the submission's reward, but never more than the wallet still holds.
+  const deleteResponse = (id, reverseCredit) =>
+    setStore((s) => ({
+      ...s,
+      responses: { ...s.responses, [survey.id]: (s.responses[survey.id] || []).filter((r) => r.id !== id) },
+      wallet: reverseCredit ? { ...s.wallet, balance: Math.max(0, s.wallet.balance - REWARD_PER_SUBMISSION) } : s.wallet,
+    }));
+  const resetData = () => {
+    if (!confirm("Delete every survey, response and payout? Your templates and question bank are kept.")) return;
+    const fresh = blankSurvey();
+    setStore((s) => ({ ...s, surveys: [fresh], responses: { [fresh.id]: [] }, partials: {}, activeId: fresh.id, wallet: { balance: 0, payouts: [] }, autosaves: {} }));
+  };
+  const autosave = (content) =>
+    setStore((s) => {
+      const list = s.autosaves[survey.id] || [];
+      const { at: _, ...last } = list[list.length - 1] || {};
+      if (JSON.stringify(last) === JSON.stringify(content)) return s;
+      const next = [...list, { at: Date.now(), ...content }].slice(-MAX_AUTOSAVES);
+      return { ...s, autosaves: { ...s.autosaves, [survey.id]: next } };
+    });
+
+  const openSurvey = (id) => {
+    setStore((s) => ({ ...s, activeId: id }));
+    setTab("build");
+  };
+  const createSurvey = (template) => {
+    setStore((s) => addToLibrary(s, template ? fromTemplate(template) : blankSurvey()));
+    setTab("build");
+  };
+  const saveTemplate = () => {
+    const name = prompt("Template name", survey.title);
+    if (name === null || !name.trim()) return;
+    setStore((s) => ({ ...s, templates: [...s.templates, toTemplate(survey, name.trim())] }));
+  };
+  const deleteTemplate = (id) => setStore((s) => ({ ...s, templates: s.templates.filter((t) => t.id !== id) }));
+  // Bank entries are standalone, so logic that pointed at other questions is dropped on the way in.
+  const saveToBank = (q) => setStore((s) => ({ ...s, bank: [...s.bank, { ...q, id: uid(), showIf: undefined }] }));
+  const removeFromBank = (id) => setStore((s) => ({ ...s, bank: s.bank.filter((q) => q.id !== id) }));
+  const duplicateSurvey = (id) =>
+    setStore((s) => {
+      const source = s.surveys.find((x) => x.id === id);
+      // The copy starts life as an unpublished draft with no history.
+      return addToLibrary(s, { ...source, title: `${source.title} (copy)`, versions: [], questionMap: undefined });
+    });
+  const renameSurvey = (id, title) =>
+    setStore((s) => ({ ...s, surveys: s.surveys.map((x) => (x.id === id ? { ...x, title } : x)) }));
+  const archiveSurvey = (id, archived) =>
+    setStore((s) => ({ ...s, surveys: s.surveys.map((x) => (x.id === id ? { ...x, archived } : x)) }));
+  const deleteSurvey = (id) =>
+    setStore((s) => {
+      const { [id]: _, ...responses } = s.responses;
+      const { [id]: __, ...autosaves } = s.autosaves;
+      const { [id]: ___, ...segments } = s.segments;
+      const { [id]: ____, ...partials } = s.partials;
+      const rest = s.surveys.filter((x) => x.id !== id);
+      // Always keep one survey around so the tabs have something to work on.
+      const kept = rest.length ? rest : [blankSurvey()];
+      const activeId = s.activeId === id ? kept[0].id : s.activeId;
+      return { ...s, surveys: kept, responses: { ...responses, [kept[0].id]: responses[kept[0].id] || [] }, partials, autosaves, segments, activeId };
+    });
+
+  const cashOut = () => {
+    if (wallet.balance < 100) {
+      alert("Minimum cash out is $100.");
+      return;
+    }
+    const amount = Math.floor(wallet.balance / 100) * 100; // multiples of $100
+    const payout = { id: uid(), amount, timestamp: Date.now() };
+    setStore((s) => ({
+      ...s,
+      wallet: { balance: s.wallet.balance - amount, payouts: [payout, ...s.wallet.payouts] },
+    }));
+    alert(`Cash out requested: $${amount}. (Simulated)`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white text-slate-900 p-6">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <header className="flex items-center justify-between">
+          <div>
+            <h1 className="text-2xl sm:text-3xl font-bold tracking-tight">📋 Survey App + Rewards</h1>
+            <p className="text-sm text-slate-500">Earn <span className="font-semibold">${REWARD_PER_SUBMISSION}.00</span> per completed submission (demo wallet, no real payouts).</p>
+          </div>
+          <div className="flex items-center gap-2">
+            <WalletBar wallet={wallet} onCashOut={cashOut} />
+            <ExportImport survey={survey} responses={segmentResponses} segmentName={segmentName} store={store} setStore={setStore} />
+            <Button variant="destructive" onClick={resetData} className="rounded-2xl">Reset</Button>
+          </div>
+        </header>
+        <StorageStatusBar status={storage} />
+
+        <Tabs value={tab} onValueChange={setTab} className="w-full">
+          <TabsList className="grid w-full grid-cols-4 rounded-2xl">
+            <TabsTrigger value="library">Surveys</TabsTrigger>
+            <TabsTrigger value="build">Build</TabsTrigger>
+            <TabsTrigger value="collect">Collect</TabsTrigger>
+            <TabsTrigger value="results">Results</TabsTrigger>
+          </TabsList>
+          <p className="mt-2 text-sm text-slate-500">
+            Working on <span className="font-medium text-slate-700">{survey.title || "Untitled survey"}</span>
+            {survey.archived && " (archived)"}
+          </p>
+
+          <TabsContent value="library" className="mt-4">
+            <SurveyLibrary
+              surveys={surveys}
+              responses={store.responses}
+              activeId={survey.id}
+              onOpen={openSurvey}
+              onCreate={() => createSurvey()}
+              onDuplicate={duplicateSurvey}
+              onRename={renameSurvey}
+              onArchive={archiveSurvey}
+              onDelete={deleteSurvey}
+            />
+            <TemplateGallery templates={[...BUILT_IN_TEMPLATES, ...store.templates]} onUse={createSurvey} onDelete={deleteTemplate} />
+            <QuestionBank bank={store.bank} onRemove={removeFromBank} />
+          </TabsContent>
+          <TabsContent value="build" className="mt-4">
+            <Builder
+              key={survey.id}
+              survey={survey}
+              bank={store.bank}
+              onChange={saveSurvey}
+              onPublish={publishSurvey}
+              onSaveTemplate={saveTemplate}
+              onSaveToBank={saveToBank}
+              autosaves={store.autosaves[survey.id] || []}
+              onAutosave={autosave}
+            />
+          </TabsContent>
+          <TabsContent value="collect" className="mt-4">
+            {live ? (
+              <Collector
+                key={`${survey.id}-${live.version}`}
+                survey={live}
+                onProgress={(p) => saveProgress({ ...p, version: live.version })}
+                onSubmit={(r) => addResponse({ ...r, version: live.version })}
+              />
+            ) : (
+              <Card className="rounded-2xl">
+                <CardContent className="p-6 text-sm text-slate-600">
+                  This survey hasn't been published yet. Publish it from the Build tab to start collecting responses.
+                </CardContent>
+              </Card>
+            )}
+          </TabsContent>
+          <TabsContent value="results" className="mt-4">
+            <SegmentBar
+              survey={survey}
+              segments={segments}
+              active={segment}
+              matched={segmentResponses.length}
+              total={responses.length}
+              onChange={setSegment}
+              onSave={saveSegment}
+              onDelete={deleteSegment}
+            />
+            <Results
+              key={survey.id}
+              survey={survey}
+              responses={segmentResponses}
+              partials={segmentPartials}
+              segmentName={segmentName}
+              wallet={wallet}
+              onMapQuestion={mapQuestion}
+              onTag={tagResponse}
+              onQuote={quoteResponse}
+              onPatchResponse={(id, patch) => patchResponse(id, () => patch)}
+              onDeleteResponse={deleteResponse}
+            />
+          </TabsContent>
+        </Tabs>
+      </div>
+    </div>
+  );
+}
+
+function WalletBar({ wallet, onCashOut }) {
+  return (
+    <div className="flex items-center gap-2">
+      <Card className="rounded-2xl shadow-sm">
+        <CardContent className="px-3 py-2 flex items-center gap-2 text-sm">
+          <Wallet className="h-4 w-4" />
+          <span className="text-slate-600">Balance</span>
+          <span className="font-semibold">${wallet.balance.toFixed(2)}</span>
+          <Button size="sm" variant="default" onClick={onCashOut} className="rounded-xl ml-2 flex items-center gap-1">
+            <DollarSign className="h-4 w-4" /> Cash out
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+// -------------------- Library --------------------
+function SurveyLibrary({ surveys, responses, activeId, onOpen, onCreate, onDuplicate, onRename, onArchive, onDelete }) {
+  const [showArchived, setShowArchived] = useState(false);
+  const shown = surveys.filter((s) => showArchived || !s.archived).sort((a, b) => b.createdAt - a.createdAt);
+  const archivedCount = surveys.filter((s) => s.archived).length;
+
+  const rename = (s) => {
+    const title = prompt("Rename survey", s.title);
+    if (title !== null && title.trim()) onRename(s.id, title.trim());
+  };
+  const remove = (s) => {
+    const count = (responses[s.id] || []).length;
+    if (confirm(`Delete "${s.title}" and its ${count} response(s)? This cannot be undone.`)) onDelete(s.id);
+  };
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Surveys</span>
+          <div className="flex items-center gap-3">
+            {archivedCount > 0 && (
+              <div className="flex items-center gap-2 text-sm font-normal text-slate-500">
+                <Switch checked={showArchived} onCheckedChange={setShowArchived} />
+                <span>Show archived ({archivedCount})</span>
+              </div>
+            )}
+            <Button size="sm" onClick={onCreate} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>New survey</Button>
+          </div>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {shown.length === 0 && <p className="text-sm text-slate-500">Every survey is archived. Toggle "Show archived" to see them.</p>}
+        {shown.map((s) => (
+          <div key={s.id} className={`flex flex-wrap items-center justify-between gap-2 rounded-xl border p-3 ${s.id === activeId ? "border-slate-900" : "border-slate-200"}`}>
+            <div>
+              <div className="font-medium">
+                {s.title || "Untitled survey"}
+                {s.archived && <span className="ml-2 text-xs text-slate-500">Archived</span>}
+              </div>
+              <div className="text-xs text-slate-500">
+                {s.questions.filter((q) => !isSection(q)).length} question(s) · {(responses[s.id] || []).length} response(s) · created {new Date(s.createdAt).toLocaleDateString()}
+              </div>
+            </div>
+            <div className="flex flex-wrap gap-1">
+              <Button size="sm" variant={s.id === activeId ? "default" : "outline"} onClick={() => onOpen(s.id)} className="rounded-2xl">Open</Button>
+              <Button size="sm" variant="ghost" onClick={() => onDuplicate(s.id)} className="rounded-2xl">Duplicate</Button>
+              <Button size="sm" variant="ghost" onClick={() => rename(s)} className="rounded-2xl">Rename</Button>
+              <Button size="sm" variant="ghost" onClick={() => onArchive(s.id, !s.archived)} className="rounded-2xl">{s.archived ? "Unarchive" : "Archive"}</Button>
+              <Button size="icon" variant="ghost" onClick={() => remove(s)} className="rounded-xl text-red-600"><Trash2 className="h-4 w-4"/></Button>
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function TemplateGallery({ templates, onUse, onDelete }) {
+  const remove = (t) => confirm(`Delete the template "${t.name}"? Surveys made from it are not affected.`) && onDelete(t.id);
+
+  return (
+    <Card className="rounded-2xl mt-4">
+      <CardHeader>
+        <CardTitle>Start from a template</CardTitle>
+      </CardHeader>
+      <CardContent className="grid sm:grid-cols-2 gap-3">
+        {templates.map((t) => (
+          <div key={t.id} className="flex flex-col justify-between gap-2 rounded-xl border border-slate-200 p-3">
+            <div>
+              <div className="font-medium">
+                {t.name}
+                {!t.builtIn && <span className="ml-2 text-xs text-slate-500">Custom</span>}
+              </div>
+              <p className="text-xs text-slate-500">{t.description || `${t.survey.questions.filter((q) => !isSection(q)).length} question(s)`}</p>
+            </div>
+            <div className="flex gap-1">
+              <Button size="sm" variant="outline" onClick={() => onUse(t)} className="rounded-2xl">Use template</Button>
+              {!t.builtIn && (
+                <Button size="icon" variant="ghost" onClick={() => remove(t)} className="rounded-xl text-red-600"><Trash2 className="h-4 w-4"/></Button>
+              )}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function QuestionBank({ bank, onRemove }) {
+  return (
+    <Card className="rounded-2xl mt-4">
+      <CardHeader>
+        <CardTitle>Question bank</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        {bank.length === 0 && (
+          <p className="text-sm text-slate-500">Save questions you reuse with "Save to bank" in the Build tab, then insert them into any survey.</p>
+        )}
+        {bank.map((q) => (
+          <div key={q.id} className="flex items-center justify-between gap-2 rounded-xl border border-slate-200 px-3 py-2 text-sm">
+            <span><span className="text-slate-500">{QTYPE_LABELS[q.type]} · </span>{q.prompt}</span>
+            <Button size="icon" variant="ghost" onClick={() => onRemove(q.id)} className="rounded-xl text-red-600"><Trash2 className="h-4 w-4"/></Button>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+// -------------------- Builder --------------------
+function Builder({ survey, bank, autosaves, onChange, onPublish, onSaveTemplate, onSaveToBank, onAutosave }) {
+  // Undo history of draftContent(). Edits to the same field in quick succession (typing) share one step;
+  // edits without a `group` (add, delete, reorder, restore) always get their own.
+  const [past, setPast] = useState([]);
+  const [future, setFuture] = useState([]);
+  const lastEdit = useRef({ group: null, at: 0 });
+
+  const update = (patch, group = Object.keys(patch).join()) => {
+    const now = Date.now();
+    const typing = group && group === lastEdit.current.group && now - lastEdit.current.at < 1000;
+    lastEdit.current = { group, at: now };
+    if (!typing) setPast((p) => [...p, draftContent(survey)].slice(-UNDO_LIMIT));
+    setFuture([]);
+    onChange({ ...survey, ...patch });
+  };
+  const travel = (from, setFrom, setTo) => {
+    if (from.length === 0) return;
+    setFrom(from.slice(0, -1));
+    setTo((stack) => [...stack, draftContent(survey)]);
+    lastEdit.current = { group: null, at: 0 };
+    onChange({ ...survey, ...from[from.length - 1] });
+  };
+  const undo = () => travel(past, setPast, setFuture);
+  const redo = () => travel(future, setFuture, setPast);
+
+  // Ctrl/Cmd+Z and Y undo and redo the Builder, except in a text field typed in since it took focus: that field's
+  // own undo goes first, as people expect while typing. The listeners stay put; they read the latest undo and redo.
+  const history = useRef({ undo, redo });
+  history.current = { undo, redo };
+  useEffect(() => {
+    let typedIn = null;
+    const onInput = (e) => (typedIn = e.target);
+    const onFocus = (e) => e.target !== typedIn && (typedIn = null);
+    const onKey = (e) => {
+      if (!(e.metaKey || e.ctrlKey)) return;
+      const key = e.key.toLowerCase();
+      if ((key !== "z" && key !== "y") || e.target === typedIn) return;
+      e.preventDefault();
+      key === "y" || e.shiftKey ? history.current.redo() : history.current.undo();
+    };
+    window.addEventListener("input", onInput, true);
+    window.addEventListener("focusin", onFocus);
+    window.addEventListener("keydown", onKey);
+    return () => {
+      window.removeEventListener("input", onInput, true);
+      window.removeEventListener("focusin", onFocus);
+      window.removeEventListener("keydown", onKey);
+    };
+  }, []);
+
+  useEffect(() => {
+    const timer = setTimeout(() => onAutosave(draftContent(survey)), AUTOSAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [survey.title, survey.description, survey.questions, survey.randomize]);
+
+  const updateQuestion = (id, patch) =>
+    update({ questions: survey.questions.map((q) => (q.id === id ? { ...q, ...patch } : q)) }, `${id}:${Object.keys(patch).join()}`);
+  // Reorders and deletes renumber questions, so piped {{qN}} references are rewritten to follow them.
+  const setOrder = (questions) => update({ questions: retargetPipes(survey.questions, questions) }, null);
+  const removeQuestion = (id) =>
+    setOrder(
+      survey.questions
+        .filter((q) => q.id !== id)
+        .map((q) => (q.showIf?.questionId === id ? { ...q, showIf: undefined } : q))
+    );
+  const addQuestion = (type) => update({ questions: [...survey.questions, newQuestion(type)] }, null);
+  const insertFromBank = (id) => update({ questions: [...survey.questions, detachQuestion(bank.find((q) => q.id === id))] }, null);
+  const restore = ({ at: _, ...content }) => update(content, null);
+  const numbers = questionNumbers(survey.questions);
+
+  // Native drag-and-drop: the grip handle starts the drag, the whole card is a drop target.
+  const [dragId, setDragId] = useState(/** @type {string|null} */(null));
+  const dropOn = (targetId) => {
+    if (!dragId || dragId === targetId) return;
+    const ids = survey.questions.map((q) => q.id);
+    setOrder(move(survey.questions, ids.indexOf(dragId), ids.indexOf(targetId)));
+    setDragId(null);
+  };
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <PublishBar
+        survey={survey}
+        onPublish={onPublish}
+        onSaveTemplate={onSaveTemplate}
+        onUndo={past.length ? undo : undefined}
+        onRedo={future.length ? redo : undefined}
+      />
+
+      <Card className="md:col-span-2 rounded-2xl shadow-sm">
+        <CardHeader>
+          <CardTitle className="flex items-start justify-between gap-4">
+            <span>Survey Details</span>
+            <div className="flex flex-wrap justify-end gap-2">
+              {Object.entries(QTYPE_LABELS).map(([type, label]) => (
+                <Button key={type} size="sm" variant="outline" onClick={() => addQuestion(type)} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>{label}</Button>
+              ))}
+              {bank.length > 0 && (
+                <Select value="" onValueChange={insertFromBank}>
+                  <SelectTrigger className="rounded-2xl h-9 w-auto text-sm font-normal"><SelectValue placeholder="Insert from bank…" /></SelectTrigger>
+                  <SelectContent>
+                    {bank.map((q) => <SelectItem key={q.id} value={q.id}>{QTYPE_LABELS[q.type]} · {q.prompt}</SelectItem>)}
+                  </SelectContent>
+                </Select>
+              )}
+            </div>
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-2">
+            <Label>Title</Label>
+            <Input value={survey.title} onChange={(e) => update({ title: e.target.value })} placeholder="My awesome survey" className="rounded-2xl"/>
+          </div>
+          <div className="grid gap-2">
+            <Label>Description</Label>
+            <Textarea value={survey.description} onChange={(e) => update({ description: e.target.value })} placeholder="Explain what this survey is about" className="rounded-2xl"/>
+          </div>
+          <RandomizeEditor randomize={survey.randomize || {}} onChange={(randomize) => update({ randomize })} />
+
+          <Separator className="my-2"/>
+
+          <div className="space-y-4">
+            <AnimatePresence>
+              {survey.questions.map((q, idx) => (
+                <motion.div
+                  key={q.id}
+                  layout
+                  initial={{ opacity: 0, y: 6 }}
+                  animate={{ opacity: dragId === q.id ? 0.5 : 1, y: 0 }}
+                  exit={{ opacity: 0, y: -6 }}
+                  onDragOver={(e) => dragId && e.preventDefault()}
+                  onDrop={() => dropOn(q.id)}
+                >
+                  {isSection(q) ? (
+                    <Card className="rounded-2xl border-dashed border-slate-300 bg-slate-50">
+                      <CardHeader className="pb-2">
+                        <CardTitle className="text-base flex items-center justify-between">
+                          <span className="flex items-center gap-2 text-slate-700">
+                            <DragHandle onStart={() => setDragId(q.id)} onEnd={() => setDragId(null)} />
+                            PAGE BREAK · SECTION
+                          </span>
                           <Button size="icon" variant="ghost" onClick={() => removeQuestion(q.id)} className="rounded-xl text-red-600">
                             <Trash2 className="h-4 w-4" />
                           </Button>
+                        </CardTitle>
+                      </CardHeader>
+                      <CardContent className="space-y-3">
+                        <div className="grid gap-2">
+                          <Label>Section title</Label>
+                          <Input value={q.prompt} onChange={(e) => updateQuestion(q.id, { prompt: e.target.value })} className="rounded-2xl"/>
                         </div>
-                      </CardTitle>
-                    </CardHeader>
-                    <CardContent className="space-y-3">
-                      <div className="grid gap-2">
-                        <Label>Prompt</Label>
-                        <Input value={q.prompt} onChange={(e) => updateQuestion(q.id, { prompt: e.target.value })} className="rounded-2xl"/>
-                      </div>
+                        <div className="grid gap-2">
+                          <Label>Intro text</Label>
+                          <Textarea value={q.description || ""} onChange={(e) => updateQuestion(q.id, { description: e.target.value })} placeholder="Optional, shown at the top of the page" className="rounded-2xl"/>
+                        </div>
+                      </CardContent>
+                    </Card>
+                  ) : (
+                    <Card className="rounded-2xl border-slate-200">
+                      <CardHeader className="pb-2">
+                        <CardTitle className="text-base flex items-center justify-between">
+                          <span className="flex items-center gap-2 text-slate-700">
+                            <DragHandle onStart={() => setDragId(q.id)} onEnd={() => setDragId(null)} />
+                            Q{numbers[q.id]} · {QTYPE_LABELS[q.type].toUpperCase()}
+                          </span>
+                          <div className="flex items-center gap-3">
+                            <div className="flex items-center gap-2 text-sm text-slate-500">
+                              <Switch checked={q.required} onCheckedChange={(v) => updateQuestion(q.id, { required: v })} />
+                              <span>Required</span>
+                            </div>
+                            <Button size="sm" variant="ghost" onClick={() => onSaveToBank(q)} className="rounded-2xl">Save to bank</Button>
+                            <Button size="icon" variant="ghost" onClick={() => removeQuestion(q.id)} className="rounded-xl text-red-600">
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        </CardTitle>
+                      </CardHeader>
+                      <CardContent className="space-y-3">
+                        <div className="grid gap-2">
+                          <div className="flex items-center justify-between">
+                            <Label>Prompt</Label>
+                            <PipePicker
+                              earlier={survey.questions.slice(0, idx).filter((e) => !isSection(e))}
+                              numbers={numbers}
+                              onPick={(token) => updateQuestion(q.id, { prompt: `${q.prompt} ${token}`.trim() })}
+                            />
+                          </div>
+                          <Input value={q.prompt} onChange={(e) => updateQuestion(q.id, { prompt: e.target.value })} className="rounded-2xl"/>
+                          {pipeIssues([q.prompt, ...(q.options || []), ...(q.rows || [])], numbers, numbers[q.id]).map((issue) => (
+                            <p key={issue} className="text-xs text-amber-700">{issue}</p>
+                          ))}
+                        </div>
+
+                        {q.type === "text" && (
+                          <div className="text-sm text-slate-500">Short answer. Respondents will type a sentence or two.</div>
+                        )}
+
+                        {CHOICE_TYPES.includes(q.type) && (
+                          <>
+                            <ListEditor label="Options" item="Option" values={q.options || []} onChange={(options) => updateQuestion(q.id, { options })} />
+                            <OptionOrderEditor question={q} onChange={(patch) => updateQuestion(q.id, patch)} />
+                          </>
+                        )}
+
+                        {q.type === "nps" && (
+                          <div className="text-sm text-slate-500">Net Promoter Score. Respondents pick 0 (not at all likely) to 10 (extremely likely).</div>
+                        )}
+
+                        {q.type === "number" && (
+                          <div className="grid grid-cols-2 gap-2 max-w-xs">
+                            <div className="grid gap-2">
+                              <Label>Min</Label>
+                              <Input type="number" value={q.min ?? ""} onChange={(e) => updateQuestion(q.id, { min: e.target.value === "" ? undefined : Number(e.target.value) })} className="rounded-2xl"/>
+                            </div>
+                            <div className="grid gap-2">
+                              <Label>Max</Label>
+                              <Input type="number" value={q.max ?? ""} onChange={(e) => updateQuestion(q.id, { max: e.target.value === "" ? undefined : Number(e.target.value) })} className="rounded-2xl"/>
+                            </div>
+                          </div>
+                        )}
+
+                        {q.type === "date" && (
+                          <div className="text-sm text-slate-500">Respondents pick a calendar date.</div>
+                        )}
+
+                        {q.type === "likert" && (
+                          <div className="grid sm:grid-cols-2 gap-4">
+                            <ListEditor label="Rows" item="Statement" values={q.rows || []} onChange={(rows) => updateQuestion(q.id, { rows })} />
+                            <ListEditor label="Columns" item="Level" values={q.options || []} onChange={(options) => updateQuestion(q.id, { options })} />
+                          </div>
+                        )}
+
+                        {["text", "number", "multi"].includes(q.type) && (
+                          <ValidationEditor question={q} onChange={(validation) => updateQuestion(q.id, { validation })} />
+                        )}
+
+                        {q.type === "rating" && (
+                          <div className="grid gap-2 max-w-xs">
+                            <Label>Max stars</Label>
+                            <Select value={String(q.max || 5)} onValueChange={(v) => updateQuestion(q.id, { max: Number(v), ...(v !== "10" && { scoreAsNps: undefined }) })}>
+                              <SelectTrigger className="rounded-2xl"><SelectValue placeholder="5"/></SelectTrigger>
+                              <SelectContent>
+                                {[3,4,5,7,10].map((n) => <SelectItem key={n} value={String(n)}>{n}</SelectItem>)}
+                              </SelectContent>
+                            </Select>
+                            {q.max === 10 && (
+                              <div className="flex items-center gap-2 text-sm text-slate-500">
+                                <Switch checked={!!q.scoreAsNps} onCheckedChange={(v) => updateQuestion(q.id, { scoreAsNps: v })} />
+                                <span>Score as NPS in Results</span>
+                              </div>
+                            )}
+                          </div>
+                        )}
+
+                        <LogicEditor
+                          question={q}
+                          earlier={survey.questions.slice(0, idx).filter((e) => !isSection(e))}
+                          numbers={numbers}
+                          onChange={(patch) => updateQuestion(q.id, patch)}
+                        />
+                      </CardContent>
+                    </Card>
+                  )}
+                </motion.div>
+              ))}
+            </AnimatePresence>
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="space-y-4">
+        <PreviewPanel survey={survey} />
+        <AutosaveTimeline autosaves={autosaves} current={survey} onRestore={restore} />
+      </div>
+    </div>
+  );
+}
+
+function AutosaveTimeline({ autosaves, current, onRestore }) {
+  const now = JSON.stringify(draftContent(current));
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2 text-base"><History className="h-4 w-4"/>Autosaves</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {autosaves.length === 0 && <p className="text-slate-500">A snapshot is saved a few seconds after you stop editing.</p>}
+        {[...autosaves].reverse().map((a) => {
+          const { at: _, ...content } = a;
+          const isCurrent = JSON.stringify(content) === now;
+          return (
+            <div key={a.at} className="flex items-center justify-between gap-2">
+              <div>
+                <div className="font-medium">{new Date(a.at).toLocaleTimeString()}</div>
+                <div className="text-xs text-slate-500">{a.title || "Untitled"} · {a.questions.filter((q) => !isSection(q)).length} question(s)</div>
+              </div>
+              {isCurrent ? (
+                <span className="text-xs text-slate-500">Current</span>
+              ) : (
+                <Button size="sm" variant="outline" onClick={() => onRestore(a)} className="rounded-2xl">Restore</Button>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
+
+/** "Insert answer" menu for piping: offers every earlier question as a {{qN}} token. */
+function PipePicker({ earlier, numbers, onPick }) {
+  if (earlier.length === 0) return null;
+  return (
+    <Select value="" onValueChange={(id) => onPick(`{{q${numbers[id]}}}`)}>
+      <SelectTrigger className="rounded-2xl h-7 w-auto text-xs"><SelectValue placeholder="Insert answer…" /></SelectTrigger>
+      <SelectContent>
+        {earlier.map((q) => (
+          <SelectItem key={q.id} value={q.id}>{`{{q${numbers[q.id]}}}`} · {q.prompt}</SelectItem>
+        ))}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function RandomizeEditor({ randomize, onChange }) {
+  return (
+    <div className="flex flex-wrap items-center gap-4 rounded-xl bg-slate-50 p-3 text-sm">
+      <div className="flex items-center gap-2">
+        <Switch checked={!!randomize.questions} onCheckedChange={(v) => onChange({ ...randomize, questions: v })} />
+        <span>Shuffle questions within each page</span>
+      </div>
+      <Select value={randomize.blocks || "fixed"} onValueChange={(blocks) => onChange({ ...randomize, blocks })}>
+        <SelectTrigger className="rounded-2xl w-44"><SelectValue /></SelectTrigger>
+        <SelectContent>
+          <SelectItem value="fixed">Keep page order</SelectItem>
+          <SelectItem value="shuffle">Shuffle pages</SelectItem>
+          <SelectItem value="rotate">Rotate pages</SelectItem>
+        </SelectContent>
+      </Select>
+      {(randomize.questions || (randomize.blocks && randomize.blocks !== "fixed")) && (
+        <p className="w-full text-xs text-slate-500">Questions that use or feed logic or piping keep their position, and so do their pages.</p>
+      )}
+    </div>
+  );
+}
+
+function OptionOrderEditor({ question, onChange }) {
+  const pinned = question.pinned || [];
+  const togglePin = (option) =>
+    onChange({ pinned: pinned.includes(option) ? pinned.filter((o) => o !== option) : [...pinned, option] });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2">
+        <Switch checked={!!question.shuffleOptions} onCheckedChange={(v) => onChange({ shuffleOptions: v })} />
+        <span>Shuffle options for each respondent</span>
+      </div>
+      {question.shuffleOptions && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-slate-500">Pin in place:</span>
+          {(question.options || []).map((option, i) => (
+            <Button key={i} size="sm" variant={pinned.includes(option) ? "default" : "outline"} onClick={() => togglePin(option)} className="rounded-2xl h-7">
+              {option || `Option ${i + 1}`}
+            </Button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/** `onUndo`/`onRedo` are undefined when there is nothing to undo or redo. */
+function PublishBar({ survey, onPublish, onSaveTemplate, onUndo, onRedo }) {
+  const latest = latestVersion(survey);
+  const dirty = hasUnpublishedChanges(survey);
+  const changes = latest && dirty ? diffVersions(latest, survey) : [];
+
+  return (
+    <Card className="md:col-span-3 rounded-2xl shadow-sm">
+      <CardContent className="p-4 flex flex-wrap items-center justify-between gap-3 text-sm">
+        <div>
+          {latest ? (
+            <span>Live: <span className="font-medium">v{latest.version}</span>, published {new Date(latest.publishedAt).toLocaleString()}</span>
+          ) : (
+            <span className="font-medium">Not published yet</span>
+          )}
+          {dirty && latest && (
+            <span className="text-amber-700"> · Draft has unpublished changes{changes.length ? ` to ${changes.length} question(s)` : ""}. Respondents keep seeing v{latest.version} until you publish.</span>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <Button size="icon" variant="ghost" onClick={onUndo} disabled={!onUndo} title="Undo (Ctrl+Z)" className="rounded-xl"><Undo2 className="h-4 w-4"/></Button>
+          <Button size="icon" variant="ghost" onClick={onRedo} disabled={!onRedo} title="Redo (Ctrl+Shift+Z)" className="rounded-xl"><Redo2 className="h-4 w-4"/></Button>
+          <Button size="sm" variant="outline" onClick={onSaveTemplate} className="rounded-2xl">Save as template</Button>
+          <Button size="sm" onClick={onPublish} disabled={!dirty} className="rounded-2xl">
+            Publish v{survey.versions.length + 1}
+          </Button>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function DragHandle({ onStart, onEnd }) {
+  return (
+    <span
+      draggable
+      onDragStart={(e) => {
+        e.stopPropagation();
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", "");
+        onStart();
+      }}
+      onDragEnd={onEnd}
+      className="cursor-grab text-slate-400 hover:text-slate-600"
+      aria-label="Drag to reorder"
+    >
+      <GripVertical className="h-4 w-4" />
+    </span>
+  );
+}
+
+function ListEditor({ label, item, values, onChange }) {
+  const [dragIndex, setDragIndex] = useState(/** @type {number|null} */(null));
+  const dropOn = (i) => {
+    if (dragIndex === null || dragIndex === i) return;
+    onChange(move(values, dragIndex, i));
+    setDragIndex(null);
+  };
+
+  return (
+    <div className="space-y-2">
+      <Label>{label}</Label>
+      {values.map((value, i) => (
+        <div
+          key={i}
+          className={`flex gap-2 items-center ${dragIndex === i ? "opacity-50" : ""}`}
+          onDragOver={(e) => dragIndex !== null && e.preventDefault()}
+          onDrop={(e) => {
+            e.stopPropagation();
+            dropOn(i);
+          }}
+        >
+          <DragHandle onStart={() => setDragIndex(i)} onEnd={() => setDragIndex(null)} />
+          <Input value={value} onChange={(e) => onChange(values.map((v, j) => (j === i ? e.target.value : v)))} className="rounded-2xl"/>
+          <Button size="icon" variant="ghost" onClick={() => onChange(values.filter((_, j) => j !== i))} className="rounded-xl"><Trash2 className="h-4 w-4"/></Button>
+        </div>
+      ))}
+      <Button variant="outline" onClick={() => onChange([...values, `${item} ${values.length + 1}`])} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>Add {item.toLowerCase()}</Button>
+    </div>
+  );
+}
+
+function ValidationEditor({ question, onChange }) {
+  const rules = question.validation || {};
+  const set = (patch) => onChange({ ...rules, ...patch });
+  const num = (e) => (e.target.value === "" ? undefined : Math.max(0, Number(e.target.value)));
+  const badRegex = rules.pattern === "custom" && !!rules.regex && !toRegex(rules.regex);
+
+  return (
+    <div className="space-y-2 rounded-xl bg-slate-50 p-3">
+      <Label>Validation</Label>
+      {question.type === "text" && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Input type="number" value={rules.minLength ?? ""} onChange={(e) => set({ minLength: num(e) })} placeholder="Min length" className="rounded-2xl w-28" />
+          <Input type="number" value={rules.maxLength ?? ""} onChange={(e) => set({ maxLength: num(e) })} placeholder="Max length" className="rounded-2xl w-28" />
+          <Select value={rules.pattern || "any"} onValueChange={(v) => set({ pattern: v === "any" ? undefined : v })}>
+            <SelectTrigger className="rounded-2xl w-44"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="any">Any text</SelectItem>
+              {Object.entries(PATTERNS).map(([key, p]) => <SelectItem key={key} value={key}>{p.label}</SelectItem>)}
+              <SelectItem value="custom">Custom regex</SelectItem>
+            </SelectContent>
+          </Select>
+          {rules.pattern === "custom" && (
+            <Input value={rules.regex || ""} onChange={(e) => set({ regex: e.target.value })} placeholder="^[A-Z]{3}-\d+$" className="rounded-2xl w-48 font-mono" />
+          )}
+        </div>
+      )}
+      {question.type === "number" && (
+        <p className="text-sm text-slate-500">Answers outside Min/Max above are rejected.</p>
+      )}
+      {question.type === "multi" && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Input type="number" value={rules.minSelect ?? ""} onChange={(e) => set({ minSelect: num(e) })} placeholder="Min selections" className="rounded-2xl w-36" />
+          <Input type="number" value={rules.maxSelect ?? ""} onChange={(e) => set({ maxSelect: num(e) })} placeholder="Max selections" className="rounded-2xl w-36" />
+        </div>
+      )}
+      <Input value={rules.message || ""} onChange={(e) => set({ message: e.target.value || undefined })} placeholder="Custom error message (optional)" className="rounded-2xl" />
+      {badRegex && <p className="text-xs text-amber-700">This regex is invalid and will be ignored.</p>}
+    </div>
+  );
+}
+
+function LogicEditor({ question, earlier, numbers, onChange }) {
+  const source = earlier.find((q) => q.id === question.showIf?.questionId);
+  const setShowIf = (patch) => onChange({ showIf: { op: "eq", value: "", ...question.showIf, ...patch } });
+
+  return (
+    <div className="space-y-2 rounded-xl bg-slate-50 p-3">
+      <Label>Logic</Label>
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className="text-slate-500">Show</span>
+        <Select
+          value={question.showIf?.questionId || "always"}
+          onValueChange={(v) => (v === "always" ? onChange({ showIf: undefined }) : setShowIf({ questionId: v, value: "" }))}
+        >
+          <SelectTrigger className="rounded-2xl w-56"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="always">always</SelectItem>
+            {earlier.map((q) => q.type !== "likert" && (
+              <SelectItem key={q.id} value={q.id}>only if Q{numbers[q.id]} · {q.prompt}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {question.showIf && (
+          <>
+            <LogicOpSelect value={question.showIf.op} onChange={(op) => setShowIf({ op })} />
+            <LogicValueInput question={source} value={question.showIf.value} onChange={(value) => setShowIf({ value })} />
+          </>
+        )}
+      </div>
+      {question.showIf && !source && (
+        <p className="text-xs text-amber-700">This rule depends on a question that now comes later, so this question will never show. Move it or pick another question.</p>
+      )}
+      {!["text", "likert"].includes(question.type) && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <span className="text-slate-500">Skip to end if the answer</span>
+          <Select
+            value={question.endIf?.op || "never"}
+            onValueChange={(v) => onChange({ endIf: v === "never" ? undefined : { value: "", ...question.endIf, op: v } })}
+          >
+            <SelectTrigger className="rounded-2xl w-44"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="never">never</SelectItem>
+              {LOGIC_OPS.map((o) => <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}
+            </SelectContent>
+          </Select>
+          {question.endIf && (
+            <LogicValueInput question={question} value={question.endIf.value} onChange={(value) => onChange({ endIf: { ...question.endIf, value } })} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function LogicOpSelect({ value, onChange }) {
+  return (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="rounded-2xl w-40"><SelectValue /></SelectTrigger>
+      <SelectContent>
+        {LOGIC_OPS.map((o) => <SelectItem key={o.value} value={o.value}>{o.label}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function LogicValueInput({ question, value, onChange }) {
+  const choices = CHOICE_TYPES.includes(question?.type)
+    ? question.options || []
+    : question?.type === "rating"
+    ? Array.from({ length: question.max || 5 }, (_, i) => String(i + 1))
+    : question?.type === "nps"
+    ? Array.from({ length: 11 }, (_, i) => String(i))
+    : null;
+  if (!choices) return <Input value={value} onChange={(e) => onChange(e.target.value)} placeholder="Value" className="rounded-2xl w-40" />;
+  return (
+    <Select value={value || undefined} onValueChange={onChange}>
+      <SelectTrigger className="rounded-2xl w-40"><SelectValue placeholder="Value" /></SelectTrigger>
+      <SelectContent>
+        {choices.map((c, i) => <SelectItem key={i} value={c}>{c}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+}
+
+function PreviewPanel({ survey }) {
+  // Throwaway answers so authors can click through the branches without recording anything.
+  const [answers, setAnswers] = useState(/** @type {Record<string, string|number>} */({}));
+  const visible = visibleQuestions(survey.questions, answers);
+  const hidden = survey.questions.filter((q) => !isSection(q)).length - visible.filter((q) => !isSection(q)).length;
+  const answer = (id, value) => setAnswers((a) => ({ ...a, [id]: value }));
+
+  return (
+    <Card className="rounded-2xl shadow-sm">
+      <CardHeader>
+        <CardTitle className="flex items-center justify-between">
+          <span>Live Preview</span>
+          {Object.keys(answers).length > 0 && (
+            <Button size="sm" variant="ghost" onClick={() => setAnswers({})} className="rounded-2xl">Reset</Button>
+          )}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3">
+        <h2 className="text-xl font-semibold">{survey.title || "Untitled survey"}</h2>
+        {survey.description && <p className="text-slate-500 text-sm">{survey.description}</p>}
+        <Separator />
+        <div className="space-y-4">
+          {survey.questions.length === 0 && (
+            <p className="text-sm text-slate-500">No questions yet. Use the buttons above to add some.</p>
+          )}
+          {visible.map((raw) => pipeQuestion(raw, survey.questions, answers)).map((q) =>
+            isSection(q) ? (
+              <div key={q.id} className="pt-2 border-t">
+                <p className="text-xs uppercase tracking-wide text-slate-400">Page break</p>
+                <h3 className="font-semibold">{q.prompt}</h3>
+                {q.description && <p className="text-sm text-slate-500">{q.description}</p>}
+              </div>
+            ) : (
+              <div key={q.id} className="space-y-2">
+                <p className="font-medium">{q.prompt}{q.required && <span className="text-red-500">*</span>}</p>
+                <QuestionInput q={q} value={answers[q.id]} onChange={(v) => answer(q.id, v)} compact />
+              </div>
+            )
+          )}
+          {hidden > 0 && (
+            <p className="text-xs text-slate-500">{hidden} question(s) hidden by logic. Answer above to walk the branches.</p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+// -------------------- Collector --------------------
+/** `shared`: answering from a share link, where there's no wallet to pay into. */
+function Collector({ survey, shared = false, onProgress, onSubmit }) {
+  const [answers, setAnswers] = useState(/** @type {Record<string, string|number>} */({}));
+  const [submitted, setSubmitted] = useState(false);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [errors, setErrors] = useState(/** @type {Record<string, string>} */({}));
+  // One seed per respondent: it alone determines the order they see, and is stored with their response.
+  const [seed, setSeed] = useState(uid);
+  const order = useMemo(() => presentationOrder(survey, seed), [survey, seed]);
+
+  const visible = visibleQuestions(applyOrder(survey.questions, order), answers);
+  const pages = paginate(visible.map((q) => pipeQuestion(q, survey.questions, answers)));
+  // Logic can shrink the page list under us (e.g. skip-to-end), so clamp rather than trust the index.
+  const current = Math.min(pageIndex, Math.max(pages.length - 1, 0));
+  const page = pages[current];
+  const isLast = current >= pages.length - 1;
+
+  // Time since the respondent's previous action is credited to the question they just changed.
+  const freshActivity = () => ({ startedAt: Date.now(), at: Date.now(), timings: {}, seen: new Set() });
+  const activity = useRef(freshActivity());
+  const pageIds = (page?.questions || []).map((q) => q.id).join();
+  useEffect(() => {
+    (page?.questions || []).forEach((q) => activity.current.seen.add(q.id));
+  }, [seed, pageIds]);
+  useEffect(() => {
+    if (Object.keys(answers).length === 0) return;
+    const timer = setTimeout(() => {
+      const { startedAt, timings, seen } = activity.current;
+      onProgress({ id: seed, timestamp: Date.now(), startedAt, answers, seed, order, timings: { ...timings }, seen: [...seen] });
+    }, PROGRESS_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [answers, current]);
+  const goTo = (index) => {
+    activity.current.at = Date.now();
+    setPageIndex(index);
+  };
+
+  const setAnswer = (id, value) => {
+    const now = Date.now();
+    const { timings, at } = activity.current;
+    timings[id] = (timings[id] || 0) + (now - at);
+    activity.current.at = now;
+    setAnswers((a) => ({ ...a, [id]: value }));
+    setErrors(({ [id]: _, ...rest }) => rest);
+  };
+
+  const validatePage = () => {
+    const next = {};
+    (page?.questions || []).forEach((q) => {
+      const error = validateAnswer(q, answers[q.id]);
+      if (error) next[q.id] = error;
+    });
+    setErrors(next);
+    return Object.keys(next).length === 0;
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!validatePage()) return;
+    if (!isLast) return goTo(current + 1);
+    // Drop answers left behind on branches the respondent backed out of.
+    const kept = Object.fromEntries(visible.filter((q) => answers[q.id] !== undefined).map((q) => [q.id, answers[q.id]]));
+    onSubmit({ id: uid(), timestamp: Date.now(), answers: kept, seed, order, timings: { ...activity.current.timings } });
+    setSeed(uid());
+    setSubmitted(true);
+    setAnswers({});
+    setPageIndex(0);
+  };
+
+  if (submitted) {
+    return (
+      <Card className="rounded-2xl">
+        <CardHeader><CardTitle>Thank you! 🎉</CardTitle></CardHeader>
+        <CardContent>
+          {shared ? (
+            <p className="text-slate-600">Your response has been recorded.</p>
+          ) : (
+            <p className="text-slate-600">Your response has been recorded locally and <span className="font-semibold">$100</span> has been added to your wallet (simulation).</p>
+          )}
+          <Button className="mt-3 rounded-2xl" onClick={() => { activity.current = freshActivity(); setSubmitted(false); }}>Submit another</Button>
+        </CardContent>
+      </Card>
+    );
+  }
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <span>{survey.title || "Survey"}</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent>
+        {survey.description && <p className="text-slate-500 mb-4">{survey.description}</p>}
+        {!shared && (
+          <div className="mb-3 text-sm text-emerald-700 bg-emerald-50 border border-emerald-200 rounded-xl p-3">
+            Complete the survey and earn <span className="font-semibold">${REWARD_PER_SUBMISSION}.00</span> to your wallet. (Demo only)
+          </div>
+        )}
+        {pages.length > 1 && (
+          <div className="mb-4 space-y-1">
+            <div className="flex justify-between text-xs text-slate-500">
+              <span>Page {current + 1} of {pages.length}</span>
+              <span>{Math.round(((current + 1) / pages.length) * 100)}%</span>
+            </div>
+            <div className="h-2 w-full rounded-full bg-slate-100 overflow-hidden">
+              <motion.div className="h-full bg-slate-900" animate={{ width: `${((current + 1) / pages.length) * 100}%` }} />
+            </div>
+          </div>
+        )}
+        <form onSubmit={handleSubmit} className="space-y-5">
+          {page?.title && (
+            <div>
+              <h3 className="text-lg font-semibold">{page.title}</h3>
+              {page.description && <p className="text-sm text-slate-500">{page.description}</p>}
+            </div>
+          )}
+          {(page?.questions || []).map((q) => (
+            <div key={q.id} className="space-y-2">
+              <Label className="font-medium">{q.prompt}{q.required && <span className="text-red-500">*</span>}</Label>
+              <QuestionInput q={q} value={answers[q.id]} onChange={(v) => setAnswer(q.id, v)} />
+              {errors[q.id] && <p className="text-sm text-red-600">{errors[q.id]}</p>}
+            </div>
+          ))}
+          <div className="pt-2 flex items-center gap-2">
+            {current > 0 && (
+              <Button type="button" variant="outline" onClick={() => { setErrors({}); goTo(current - 1); }} className="rounded-2xl">Back</Button>
+            )}
+            {isLast ? (
+              <Button type="submit" className="rounded-2xl">{shared ? "Submit" : `Submit & Earn $${REWARD_PER_SUBMISSION}`}</Button>
+            ) : (
+              <Button type="submit" className="rounded-2xl">Next</Button>
+            )}
+            {Object.keys(errors).length > 0 && <span className="text-sm text-red-600">Please fix the highlighted answers.</span>}
+          </div>
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
+
+/** Answer control for one question; shared by the Collector and the Builder preview. */
+function QuestionInput({ q, value, onChange, compact = false }) {
+  const pill = compact ? "h-6 w-6 text-xs" : "h-8 w-8";
+  const optionLabel = (opt, i) => q.optionLabels?.[i] ?? opt;
+  const rowLabel = (row, i) => q.rowLabels?.[i] ?? row;
+  switch (q.type) {
+    case "text":
+      return compact ? (
+        <Input value={value || ""} onChange={(e) => onChange(e.target.value)} placeholder="Your answer" className="rounded-2xl" />
+      ) : (
+        <Textarea value={value || ""} onChange={(e) => onChange(e.target.value)} placeholder="Type your answer" className="rounded-2xl" />
+      );
+    case "mcq":
+      return (
+        <div className="flex flex-wrap gap-2">
+          {(q.options || []).map((opt, i) => (
+            <Button type="button" key={i} size={compact ? "sm" : "default"} variant={value === opt ? "default" : "outline"} className="rounded-2xl" onClick={() => onChange(opt)}>
+              {optionLabel(opt, i)}
+            </Button>
+          ))}
+        </div>
+      );
+    case "multi": {
+      const picked = Array.isArray(value) ? value : [];
+      return (
+        <div className="grid gap-2">
+          {(q.options || []).map((opt, i) => (
+            <label key={i} className="flex items-center gap-2 text-sm">
+              <input
+                type="checkbox"
+                checked={picked.includes(opt)}
+                onChange={(e) => onChange(e.target.checked ? [...picked, opt] : picked.filter((p) => p !== opt))}
+              />
+              <span>{optionLabel(opt, i)}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case "dropdown":
+      return (
+        <Select value={value || undefined} onValueChange={onChange}>
+          <SelectTrigger className="rounded-2xl max-w-sm"><SelectValue placeholder="Choose…" /></SelectTrigger>
+          <SelectContent>
+            {(q.options || []).map((opt, i) => <SelectItem key={i} value={opt}>{optionLabel(opt, i)}</SelectItem>)}
+          </SelectContent>
+        </Select>
+      );
+    case "rating":
+      return (
+        <div className="flex items-center gap-2">
+          {Array.from({ length: q.max || 5 }, (_, i) => i + 1).map((n) => (
+            <button
+              key={n}
+              type="button"
+              aria-label={`Rate ${n}`}
+              className={`${pill} rounded-full border transition ${(value || 0) >= n ? "bg-slate-900 text-white" : "bg-white"}`}
+              onClick={() => onChange(n)}
+            >
+              {n}
+            </button>
+          ))}
+        </div>
+      );
+    case "nps":
+      return (
+        <div className="space-y-1">
+          <div className="flex flex-wrap gap-1">
+            {Array.from({ length: 11 }, (_, n) => (
+              <button
+                key={n}
+                type="button"
+                aria-label={`Score ${n}`}
+                className={`${pill} rounded-lg border transition ${value === n ? "bg-slate-900 text-white" : "bg-white"}`}
+                onClick={() => onChange(n)}
+              >
+                {n}
+              </button>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-slate-500 max-w-md">
+            <span>Not at all likely</span>
+            <span>Extremely likely</span>
+          </div>
+        </div>
+      );
+    case "number":
+      return (
+        <Input
+          type="number"
+          min={q.min}
+          max={q.max}
+          value={value ?? ""}
+          onChange={(e) => onChange(e.target.value === "" ? undefined : Number(e.target.value))}
+          className="rounded-2xl max-w-xs"
+        />
+      );
+    case "date":
+      return <Input type="date" value={value || ""} onChange={(e) => onChange(e.target.value)} className="rounded-2xl max-w-xs" />;
+    case "likert": {
+      const grid = value && typeof value === "object" ? value : {};
+      return (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr>
+                <th />
+                {(q.options || []).map((col, i) => <th key={col} className="px-2 py-1 font-normal text-slate-500">{optionLabel(col, i)}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {(q.rows || []).map((row, r) => (
+                <tr key={row} className="border-t">
+                  <td className="py-2 pr-2">{rowLabel(row, r)}</td>
+                  {(q.options || []).map((col, i) => (
+                    <td key={col} className="text-center">
+                      <input
+                        type="radio"
+                        aria-label={`${rowLabel(row, r)}: ${optionLabel(col, i)}`}
+                        name={`${q.id}-${row}`}
+                        checked={grid[row] === col}
+                        onChange={() => onChange({ ...grid, [row]: col })}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+// -------------------- Share links --------------------
+// A share link carries the latest published version in its URL fragment (never sent to a server), as
+// `#s=<deflated JSON>.<ECDSA signature>.<public key>`, each base64url. The signing key is made per browser on first
+// share, so the signature shows the survey wasn't altered since it was signed. Since the link carries its own key,
+// anyone can sign one; the fingerprint only identifies the author if it matches the one shown next to their
+// "Copy share link" button.
+const SHARE_PARAM = "s";
+const SIGNING_KEY_LS = `${LS_KEY}_signing`;
+const ECDSA = { name: "ECDSA", namedCurve: "P-256" };
+const SIGNATURE = { name: "ECDSA", hash: "SHA-256" };
+
+function toBase64Url(bytes) {
+  let binary = "";
+  bytes.forEach((b) => (binary += String.fromCharCode(b)));
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, "+").replace(/_/g, "/")), (c) => c.charCodeAt(0));
+
+async function transform(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+async function signingKeys() {
+  const saved = JSON.parse(localStorage.getItem(SIGNING_KEY_LS) || "null");
+  if (saved) {
+    return {
+      privateKey: await crypto.subtle.importKey("jwk", saved.privateKey, ECDSA, false, ["sign"]),
+      publicKey: await crypto.subtle.importKey("jwk", saved.publicKey, ECDSA, true, ["verify"]),
+    };
+  }
+  const pair = await crypto.subtle.generateKey(ECDSA, true, ["sign", "verify"]);
+  const jwk = async (key) => crypto.subtle.exportKey("jwk", key);
+  localStorage.setItem(SIGNING_KEY_LS, JSON.stringify({ privateKey: await jwk(pair.privateKey), publicKey: await jwk(pair.publicKey) }));
+  return pair;
+}
+
+/** Short hex fingerprint of a raw public key, for people to compare by eye. */
+async function keyFingerprint(rawKey) {
+  const hash = new Uint8Array(await crypto.subtle.digest("SHA-256", rawKey));
+  return [...hash.slice(0, 6)].map((b) => b.toString(16).padStart(2, "0")).join("").match(/.{4}/g).join(" ");
+}
+
+/** Fingerprint of this browser's signing key, or null before anything has been shared from it. */
+async function ownFingerprint() {
+  if (!localStorage.getItem(SIGNING_KEY_LS)) return null;
+  const { publicKey } = await signingKeys();
+  return keyFingerprint(await crypto.subtle.exportKey("raw", publicKey));
+}
+
+async function createShareLink(survey) {
+  const live = latestVersion(survey);
+  if (!live) throw new Error("Publish the survey before sharing it.");
+  const json = JSON.stringify({ schemaVersion: SCHEMA_VERSION, id: survey.id, version: live });
+  const data = await transform(new TextEncoder().encode(json), new CompressionStream("deflate-raw"));
+  const { privateKey, publicKey } = await signingKeys();
+  const signature = new Uint8Array(await crypto.subtle.sign(SIGNATURE, privateKey, data));
+  const key = new Uint8Array(await crypto.subtle.exportKey("raw", publicKey));
+  const url = new URL(window.location.href);
+  url.hash = `${SHARE_PARAM}=${[data, signature, key].map(toBase64Url).join(".")}`;
+  return url.toString();
+}
+
+const shareToken = (hash) => new URLSearchParams(hash.replace(/^#/, "")).get(SHARE_PARAM);
+
+/** @returns {Promise<{ id: string; version: SurveyVersion; fingerprint: string }>} */
+async function readShareLink(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) throw new Error("The link is incomplete. Check that it was copied in full.");
+  let data, signature, key;
+  try {
+    [data, signature, key] = parts.map(fromBase64Url);
+  } catch {
+    throw new Error("The link is damaged. Check that it was copied in full.");
+  }
+  const publicKey = await crypto.subtle.importKey("raw", key, ECDSA, false, ["verify"]).catch(() => {
+    throw new Error("The link's signing key is damaged.");
+  });
+  if (!(await crypto.subtle.verify(SIGNATURE, publicKey, signature, data))) {
+    throw new Error("The link's signature doesn't match the survey in it, so it may have been altered.");
+  }
+  const payload = JSON.parse(new TextDecoder().decode(await transform(data, new DecompressionStream("deflate-raw"))));
+  if (schemaVersionOf(payload) > SCHEMA_VERSION) throw new Error("The survey was shared from a newer version of this app.");
+  assertValid(surveyProblems(payload.version, "version", false), "The shared survey");
+  return { id: payload.id, version: payload.version, fingerprint: await keyFingerprint(key) };
+}
+
+/** Respondent-only view of a shared survey. Nothing is read from or written to the recipient's own stored data. */
+function SharedSurvey({ token }) {
+  const [state, setState] = useState({ status: "loading" });
+  const [responses, setResponses] = useState(/** @type {Response[]} */ ([]));
+  useEffect(() => {
+    readShareLink(token).then(
+      (shared) => setState({ status: "ready", ...shared }),
+      (e) => setState({ status: "error", message: e.message })
+    );
+  }, [token]);
+
+  // Answers go back to the author as a regular export file, which they import next to their own responses.
+  const downloadResponses = () => {
+    const { id, version } = state;
+    const survey = { id, title: version.title, description: version.description, questions: version.questions, createdAt: version.publishedAt, versions: [version] };
+    const blob = new Blob([JSON.stringify({ schemaVersion: SCHEMA_VERSION, survey, responses }, null, 2)], { type: "application/json" });
+    download(blob, `${fileSlug(version.title || "survey", "responses")}.json`);
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-50 to-white text-slate-900 p-6">
+      <div className="max-w-3xl mx-auto space-y-4">
+        {state.status === "loading" && <p className="text-sm text-slate-500">Opening survey…</p>}
+        {state.status === "error" && (
+          <Card className="rounded-2xl">
+            <CardHeader><CardTitle>This survey link can't be opened</CardTitle></CardHeader>
+            <CardContent className="text-sm text-slate-600">{state.message}</CardContent>
+          </Card>
+        )}
+        {state.status === "ready" && (
+          <>
+            <p className="text-xs text-slate-500">
+              Shared survey · signed by key <span className="font-mono">{state.fingerprint}</span>. It's from the author only if
+              they see the same key next to their share button.
+            </p>
+            <Collector key={state.version.version} survey={state.version} shared onProgress={() => {}} onSubmit={(r) => setResponses((list) => [...list, { ...r, version: state.version.version }])} />
+            {responses.length > 0 && (
+              <Card className="rounded-2xl">
+                <CardContent className="p-4 flex items-center justify-between gap-3 text-sm text-slate-600">
+                  <span>{responses.length} response(s) are kept only until this page is closed. Download them and send the file to the survey's author.</span>
+                  <Button onClick={downloadResponses} className="rounded-2xl">Download</Button>
+                </CardContent>
+              </Card>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Aggregation --------------------
+// Results' per-question counts and statistics are computed in a Web Worker (aggregate.worker.js) so large response
+// sets don't block the UI. It folds responses with the same aggregate.js helpers and reports after every chunk.
+function createAggregationWorker() {
+  if (typeof Worker === "undefined") return null;
+  try {
+    return new Worker(new URL("./aggregate.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * `{ reached, charts, stats, funnel, pending }` for Results. When `responses` only grew at the end (a new submission),
+ * just the new ones are sent to the worker; anything else starts a fresh pass. Partial results arrive as chunks finish.
+ */
+function useAggregates(questions, responses, abandoned) {
+  const [result, setResult] = useState(() => ({ pending: responses.length, ...aggregateSummary(emptyTotals(), questions) }));
+  const worker = useRef(null);
+  const [workerFailed, setWorkerFailed] = useState(false);
+  const sent = useRef({ job: 0, questions: null, count: 0, firstId: null, lastId: null, abandoned: null });
+
+  useEffect(() => {
+    const w = createAggregationWorker();
+    worker.current = w;
+    sent.current = { ...sent.current, questions: null };
+    if (!w) return;
+    w.onmessage = ({ data }) => data.job === sent.current.job && setResult(data);
+    // A worker that fails to load or throws is dropped for the session; the next pass runs on the main thread.
+    w.onerror = () => {
+      w.terminate();
+      worker.current = null;
+      setWorkerFailed(true);
+    };
+    return () => w.terminate();
+  }, []);
+
+  useEffect(() => {
+    const w = worker.current;
+    if (!w) {
+      // Chunked like the worker, so a large response set doesn't freeze the page; a newer pass cancels this one.
+      const totals = emptyTotals();
+      const partial = emptyTotals();
+      foldResponses(partial, questions, abandoned);
+      let done = 0;
+      let timer;
+      const step = () => {
+        foldResponses(totals, questions, responses.slice(done, done + AGGREGATE_CHUNK));
+        done += AGGREGATE_CHUNK;
+        const pending = Math.max(0, responses.length - done);
+        setResult({ pending, ...aggregateSummary(totals, questions, partial) });
+        if (pending) timer = setTimeout(step);
+      };
+      timer = setTimeout(step);
+      return () => clearTimeout(timer);
+    }
+    const prev = sent.current;
+    const appended =
+      prev.questions === questions &&
+      responses.length >= prev.count &&
+      (prev.count === 0 || (responses[0].id === prev.firstId && responses[prev.count - 1].id === prev.lastId));
+    const job = appended ? prev.job : prev.job + 1;
+    if (!appended) {
+      w.postMessage({ type: "reset", job, questions, responses, partials: abandoned });
+      setResult((r) => ({ ...r, pending: responses.length }));
+    } else if (responses.length > prev.count || abandoned !== prev.abandoned) {
+      w.postMessage({ type: "add", responses: responses.slice(prev.count), ...(abandoned !== prev.abandoned && { partials: abandoned }) });
+    }
+    sent.current = { job, questions, count: responses.length, firstId: responses[0]?.id, lastId: responses[responses.length - 1]?.id, abandoned };
+  }, [questions, responses, abandoned, workerFailed]);
+
+  return result;
+}
+
+// -------------------- Results --------------------
+function SegmentBar({ survey, segments, active, matched, total, onChange, onSave, onDelete }) {
+  const { filter } = active;
+  const questions = (latestVersion(survey) || survey).questions.filter((q) => !isSection(q) && q.type !== "likert");
+  const numbers = questionNumbers((latestVersion(survey) || survey).questions);
+  const current = segments.find((s) => s.id === active.segmentId);
+  // Any edit turns a saved segment back into an unsaved filter.
+  const edit = (patch) => onChange(null, { ...filter, ...patch });
+  const setCondition = (i, patch) => edit({ conditions: filter.conditions.map((c, j) => (j === i ? { ...c, ...patch } : c)) });
+  const save = () => {
+    const name = prompt("Segment name");
+    if (name !== null && name.trim()) onSave(name.trim());
+  };
+
+  return (
+    <Card className="rounded-2xl mb-4">
+      <CardContent className="p-4 space-y-3 text-sm">
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={active.segmentId || "none"} onValueChange={(id) => onChange(id === "none" ? null : id, id === "none" ? EMPTY_FILTER : segments.find((s) => s.id === id).filter)}>
+            <SelectTrigger className="rounded-2xl w-56"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="none">{isFiltered(filter) && !current ? "Unsaved filter" : "All responses"}</SelectItem>
+              {segments.map((s) => <SelectItem key={s.id} value={s.id}>{s.name}</SelectItem>)}
+            </SelectContent>
+          </Select>
+          {current && (
+            <Button size="icon" variant="ghost" onClick={() => confirm(`Delete the segment "${current.name}"?`) && onDelete(current.id)} className="rounded-xl text-red-600"><Trash2 className="h-4 w-4"/></Button>
+          )}
+          {isFiltered(filter) && !current && (
+            <Button size="sm" variant="outline" onClick={save} className="rounded-2xl">Save as segment</Button>
+          )}
+          {isFiltered(filter) && (
+            <Button size="sm" variant="ghost" onClick={() => onChange(null, EMPTY_FILTER)} className="rounded-2xl">Clear</Button>
+          )}
+          <span className="ml-auto text-slate-500">{matched} of {total} response(s)</span>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={filter.status} onValueChange={(status) => edit({ status })}>
+            <SelectTrigger className="rounded-2xl w-64"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              {QUALITY_STATUSES.map((s) => <SelectItem key={s.value} value={s.value}>{s.label}</SelectItem>)}
+            </SelectContent>
+          </Select>
+          <span className="text-slate-500">from</span>
+          <Input type="date" value={filter.from || ""} onChange={(e) => edit({ from: e.target.value || undefined })} className="rounded-2xl w-40" />
+          <span className="text-slate-500">to</span>
+          <Input type="date" value={filter.to || ""} onChange={(e) => edit({ to: e.target.value || undefined })} className="rounded-2xl w-40" />
+        </div>
+
+        {filter.conditions.map((c, i) => (
+          <div key={i} className="flex flex-wrap items-center gap-2">
+            <span className="text-slate-500">{i === 0 ? "where" : "and"}</span>
+            <Select value={c.questionId || undefined} onValueChange={(questionId) => setCondition(i, { questionId, value: "" })}>
+              <SelectTrigger className="rounded-2xl w-56"><SelectValue placeholder="Question" /></SelectTrigger>
+              <SelectContent>
+                {questions.map((q) => <SelectItem key={q.id} value={q.id}>Q{numbers[q.id]} · {q.prompt}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <LogicOpSelect value={c.op} onChange={(op) => setCondition(i, { op })} />
+            <LogicValueInput question={questions.find((q) => q.id === c.questionId)} value={c.value} onChange={(value) => setCondition(i, { value })} />
+            <Button size="icon" variant="ghost" onClick={() => edit({ conditions: filter.conditions.filter((_, j) => j !== i) })} className="rounded-xl"><Trash2 className="h-4 w-4"/></Button>
+          </div>
+        ))}
+        <Button size="sm" variant="ghost" onClick={() => edit({ conditions: [...filter.conditions, { questionId: "", op: "eq", value: "" }] })} className="rounded-2xl">
+          <Plus className="h-4 w-4 mr-1"/>Filter by answer
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+function Results({ survey, responses: allResponses, partials: allPartials, segmentName, wallet, onMapQuestion, onTag, onQuote, onPatchResponse, onDeleteResponse }) {
+  // "merged" shows every response against the latest questions (plus any mapping); "1", "2"… pin one version.
+  const [view, setView] = useState("merged");
+  const latest = latestVersion(survey);
+  const pinned = survey.versions.find((v) => String(v.version) === view);
+  const questions = (pinned || latest || survey).questions;
+  const responses = useMemo(
+    () => (pinned ? allResponses.filter((r) => r.version === pinned.version) : remapAnswers(allResponses, survey.questionMap)),
+    [allResponses, pinned, survey.questionMap]
+  );
+  // Unsubmitted responses count as abandoned once idle; the rest may still be finished. `now` moves on when the
+  // next in-progress one goes idle, so a Results tab left open keeps the funnel current.
+  const [now, setNow] = useState(Date.now);
+  const { abandoned, inProgress, nextIdle } = useMemo(() => {
+    const shown = pinned ? allPartials.filter((p) => p.version === pinned.version) : remapAnswers(allPartials, survey.questionMap);
+    const cutoff = now - ABANDON_AFTER_MS;
+    const active = shown.filter((p) => p.timestamp >= cutoff);
+    return {
+      abandoned: shown.filter((p) => p.timestamp < cutoff),
+      inProgress: active.length,
+      nextIdle: active.reduce((t, p) => Math.min(t, p.timestamp + ABANDON_AFTER_MS), Infinity),
+    };
+  }, [allPartials, pinned, survey.questionMap, now]);
+  useEffect(() => {
+    if (nextIdle === Infinity) return;
+    const timer = setTimeout(() => setNow(Date.now()), Math.max(0, nextIdle - Date.now()) + 1000);
+    return () => clearTimeout(timer);
+  }, [nextIdle]);
+  const total = responses.length;
+  const { reached, charts, stats, funnel, pending } = useAggregates(questions, responses, abandoned);
+  const numbers = questionNumbers(questions);
+  const [byPosition, setByPosition] = useState(false);
+  const shuffled = (q) => responses.some((r) => r.order?.options[q.id]);
+
+  return (
+    <div className="grid md:grid-cols-3 gap-4">
+      <Card className="md:col-span-1 rounded-2xl">
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2"><BarChart3 className="h-5 w-5"/>Overview</CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-2 text-sm text-slate-600">
+          {survey.versions.length > 1 && (
+            <Select value={view} onValueChange={setView}>
+              <SelectTrigger className="rounded-2xl"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="merged">All versions (merged)</SelectItem>
+                {survey.versions.map((v) => (
+                  <SelectItem key={v.version} value={String(v.version)}>v{v.version} only</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          )}
+          <div className="flex justify-between"><span>Responses</span><span className="font-medium">{total}</span></div>
+          <div className="flex justify-between"><span>Questions</span><span className="font-medium">{Object.keys(numbers).length}</span></div>
+          <div className="flex justify-between"><span>Total Earnings</span><span className="font-medium">${(total * REWARD_PER_SUBMISSION).toFixed(2)}</span></div>
+          <div className="flex justify-between"><span>Wallet Balance</span><span className="font-medium">${wallet.balance.toFixed(2)}</span></div>
+          {pending > 0 && <p className="text-xs text-slate-500">Aggregating… {total - pending} of {total} responses counted.</p>}
+          {questions.some(shuffled) && (
+            <div className="flex items-center justify-between pt-2">
+              <span>Break shuffled options down by position</span>
+              <Switch checked={byPosition} onCheckedChange={setByPosition} />
+            </div>
+          )}
+          <Separator className="my-2" />
+          <ReportBuilder
+            report={{ survey, questions, responses, charts, reached, stats, numbers, segmentName, version: pinned?.version }}
+          />
+        </CardContent>
+      </Card>
+
+      <div className="md:col-span-2 space-y-4">
+        {!pinned && latest && (
+          <QuestionMapping survey={survey} latest={latest} responses={allResponses} onMap={onMapQuestion} />
+        )}
+        {survey.versions.length > 1 && <VersionDiff versions={survey.versions} />}
+        <CrossTab questions={questions} responses={responses} numbers={numbers} />
+        <Trends survey={survey} questions={questions} responses={responses} numbers={numbers} />
+        <Funnel funnel={funnel} inProgress={inProgress} questions={questions} numbers={numbers} />
+
+        {questions.filter((q) => !isSection(q)).map((q) => (
+          <Card key={q.id} className="rounded-2xl">
+            <CardHeader>
+              <CardTitle className="text-base flex items-center justify-between gap-2">
+                <span>Q{numbers[q.id]}. {q.prompt}</span>
+                <span className="text-xs font-normal text-slate-500 whitespace-nowrap">Reached {reached[q.id] || 0}/{total}</span>
+              </CardTitle>
+            </CardHeader>
+            <CardContent>
+              {q.type === "text" && <TextAnswers q={q} responses={responses} onTag={onTag} onQuote={onQuote} />}
+
+              {q.type !== "text" && (byPosition && shuffled(q) ? (
+                <>
+                  <p className="text-xs text-slate-500 mb-2">Each bar is a position in the list as presented; segments show which option was picked there.</p>
+                  <DistributionChart data={countByPosition(responses, q)} series={q.options || []} />
+                </>
+              ) : stats[q.id] ? (
+                <div className="grid sm:grid-cols-[1fr_12rem] gap-4 items-start">
+                  <QuestionChart chart={charts[q.id]} />
+                  <StatsPanel stats={stats[q.id]} />
+                </div>
+              ) : (
+                <QuestionChart chart={charts[q.id]} />
+              ))}
+            </CardContent>
+          </Card>
+        ))}
+
+        <ResponseTable survey={survey} responses={allResponses} onPatch={onPatchResponse} onDelete={onDeleteResponse} />
+
+        <Card className="rounded-2xl">
+          <CardHeader>
+            <CardTitle>Payout History</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {wallet.payouts.length === 0 ? (
+              <p className="text-sm text-slate-500">No payouts yet. Use the Cash out button once you have at least $100.</p>
+            ) : (
+              <ul className="text-sm space-y-2">
+                {wallet.payouts.map((p) => (
+                  <li key={p.id} className="flex justify-between">
+                    <span>#{p.id}</span>
+                    <span>${p.amount.toFixed(2)}</span>
+                    <span>{new Date(p.timestamp).toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+/** Lists questions that only exist in older versions so their answers can be folded into a current question. */
+function QuestionMapping({ survey, latest, responses, onMap }) {
+  const current = new Set(latest.questions.map((q) => q.id));
+  const orphans = new Map();
+  survey.versions.forEach((v) => v.questions.forEach((q) => !isSection(q) && !current.has(q.id) && orphans.set(q.id, { ...q, version: v.version })));
+  if (orphans.size === 0) return null;
+  const answered = (qid) => responses.filter((r) => r.answers[qid] !== undefined).length;
+  const targets = latest.questions.filter((q) => !isSection(q));
+
+  return (
+    <Card className="rounded-2xl border-amber-200">
+      <CardHeader>
+        <CardTitle className="text-base">Questions from earlier versions</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        <p className="text-slate-500">These were removed or replaced. Map one onto a current question to merge its answers; unmapped answers are left out of the merged view.</p>
+        {[...orphans.values()].map((q) => (
+          <div key={q.id} className="flex flex-wrap items-center justify-between gap-2">
+            <span>
+              <span className="text-slate-500">v{q.version} · </span>{q.prompt}
+              <span className="text-slate-500"> ({answered(q.id)} answer(s))</span>
+            </span>
+            <Select value={survey.questionMap?.[q.id] || "none"} onValueChange={(v) => onMap(q.id, v === "none" ? null : v)}>
+              <SelectTrigger className="rounded-2xl w-64"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="none">Not mapped</SelectItem>
+                {targets.map((t) => (
+                  <SelectItem key={t.id} value={t.id}>→ {t.prompt}{t.type !== q.type ? ` (${QTYPE_LABELS[t.type]})` : ""}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function VersionDiff({ versions }) {
+  const [from, setFrom] = useState(String(versions[versions.length - 2].version));
+  const [to, setTo] = useState(String(versions[versions.length - 1].version));
+  const a = versions.find((v) => String(v.version) === from);
+  const b = versions.find((v) => String(v.version) === to);
+  const changes = a && b ? diffVersions(a, b) : [];
+  const picker = (value, onChange) => (
+    <Select value={value} onValueChange={onChange}>
+      <SelectTrigger className="rounded-2xl w-24"><SelectValue /></SelectTrigger>
+      <SelectContent>
+        {versions.map((v) => <SelectItem key={v.version} value={String(v.version)}>v{v.version}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+  const badge = { added: "text-emerald-700", removed: "text-red-600", changed: "text-amber-700" };
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-base flex flex-wrap items-center gap-2">
+          <span>Compare</span>{picker(from, setFrom)}<span>→</span>{picker(to, setTo)}
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {a && b && a.title !== b.title && <p>Title: "{a.title}" → "{b.title}"</p>}
+        {changes.length === 0 && <p className="text-slate-500">No question changes between these versions.</p>}
+        {changes.map((c) => (
+          <div key={`${c.kind}-${c.question.id}`}>
+            <span className={`font-medium uppercase text-xs ${badge[c.kind]}`}>{c.kind}</span> {c.question.prompt}
+            {c.details.length > 0 && (
+              <ul className="list-disc pl-6 text-slate-600">
+                {c.details.map((d, i) => <li key={i}>{d}</li>)}
+              </ul>
+            )}
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+}
+
+function QuestionChart({ chart }) {
+  return chart ? <DistributionChart data={chart.data} series={chart.series} /> : null;
+}
+
+function StatsPanel({ stats }) {
+  const fmt = (x) => x.toFixed(2);
+  const row = (label, value) => (
+    <div className="flex justify-between"><span className="text-slate-500">{label}</span><span className="font-medium">{value}</span></div>
+  );
+
+  return (
+    <div className="space-y-1 rounded-xl bg-slate-50 p-3 text-sm">
+      {stats.nps && (
+        <div className="mb-2 space-y-1">
+          <div className="text-center">
+            <div className="text-3xl font-bold">{Math.round(stats.nps.score)}</div>
+            <div className="text-xs text-slate-500">NPS</div>
+          </div>
+          {row("Promoters", `${Math.round(stats.nps.promoters)}%`)}
+          {row("Passives", `${Math.round(stats.nps.passives)}%`)}
+          {row("Detractors", `${Math.round(stats.nps.detractors)}%`)}
+          <Separator className="my-2" />
+        </div>
+      )}
+      {row("n", stats.n)}
+      {row("Mean", fmt(stats.mean))}
+      {row("95% CI", `${fmt(stats.ci[0])}–${fmt(stats.ci[1])}`)}
+      {row("Median", stats.median)}
+      {row("Std dev", fmt(stats.sd))}
+      {stats.top2 !== undefined && row("Top-2-box", `${Math.round(stats.top2)}%`)}
+    </div>
+  );
+}
+
+/** `series` switches to one bar per key (Likert columns, segments) instead of a single `count` bar; stacked unless `stacked` is false. */
+function DistributionChart({ data, series, stacked = true }) {
+  return (
+    <div className="h-64 w-full">
+      <ResponsiveContainer width="100%" height="100%">
+        <RBarChart data={data}>
+          <XAxis dataKey="name" />
+          <YAxis allowDecimals={false} />
+          <Tooltip />
+          {series ? (
+            series.map((key, i) => <Bar key={key} dataKey={key} stackId={stacked ? "series" : undefined} fill={CHART_COLORS[i % CHART_COLORS.length]} />)
+          ) : (
+            <Bar dataKey="count" />
+          )}
+          {series && <Legend />}
+        </RBarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+/** Picks per presented position, split by option; uses the option order stored on each response. */
+function countByPosition(responses, q) {
+  const options = q.options || [];
+  const rows = options.map((_, i) => ({ name: `#${i + 1}`, ...Object.fromEntries(options.map((o) => [o, 0])) }));
+  responses.forEach((r) => {
+    const shown = r.order?.options[q.id];
+    if (!shown || r.answers[q.id] === undefined) return;
+    [].concat(r.answers[q.id]).forEach((value) => {
+      const i = shown.indexOf(value);
+      if (rows[i] && options.includes(value)) rows[i][value]++;
+    });
+  });
+  return rows;
+}
 
-                      {q.type === "text" && (
-                        <div className="text-sm text-slate-500">Short answer. Respondents will type a sentence or two.</div>
-                      )}
+// -------------------- Funnel --------------------
+const formatDuration = (ms) => (ms < 60000 ? `${Math.round(ms / 1000)}s` : `${(ms / 60000).toFixed(1)}m`);
 
-                      {q.type === "mcq" && (
-                        <div className="space-y-2">
-                          <Label>Options</Label>
-                          {q.options?.map((opt, i) => (
-                            <div key={i} className="flex gap-2 items-center">
-                              <Input value={opt} onChange={(e) => {
-                                const next = [...(q.options || [])];
-                                next[i] = e.target.value;
-                                updateQuestion(q.id, { options: next });
-                              }} className="rounded-2xl"/>
-                              <Button size="icon" variant="ghost" onClick={() => {
-                                const next = (q.options || []).filter((_, j) => j !== i);
-                                updateQuestion(q.id, { options: next });
-                              }} className="rounded-xl"><Trash2 className="h-4 w-4"/></Button>
-                            </div>
-                          ))}
-                          <Button variant="outline" onClick={() => updateQuestion(q.id, { options: [...(q.options || []), `Option ${(q.options?.length||0)+1}`] })} className="rounded-2xl"><Plus className="h-4 w-4 mr-1"/>Add option</Button>
-                        </div>
-                      )}
+/** Reach, answers, drop-off and median time per question, over submitted and abandoned responses together. */
+function Funnel({ funnel, inProgress, questions, numbers }) {
+  const started = funnel.completed + funnel.abandoned;
+  if (started === 0 && inProgress === 0) return null;
+  const prompts = Object.fromEntries(questions.map((q) => [q.id, q.prompt]));
+  const pct = (n, of) => `${of ? Math.round((n / of) * 100) : 0}%`;
 
-                      {q.type === "rating" && (
-                        <div className="grid gap-2 max-w-xs">
-                          <Label>Max stars</Label>
-                          <Select value={String(q.max || 5)} onValueChange={(v) => updateQuestion(q.id, { max: Number(v) })}>
-                            <SelectTrigger className="rounded-2xl"><SelectValue placeholder="5"/></SelectTrigger>
-                            <SelectContent>
-                              {[3,4,5,7,10].map((n) => <SelectItem key={n} value={String(n)}>{n}</SelectItem>)}
-                            </SelectContent>
-                          </Select>
-                        </div>
-                      )}
-                    </CardContent>
-                  </Card>
-                </motion.div>
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-base">Drop-off funnel</CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-3 text-sm">
+        <div className="flex flex-wrap gap-x-4 gap-y-1 text-slate-600">
+          <span>{started} started</span>
+          <span>{funnel.completed} submitted</span>
+          <span>{funnel.abandoned} abandoned</span>
+          <span className="font-medium">Abandonment rate {pct(funnel.abandoned, started)}</span>
+          {inProgress > 0 && <span className="text-slate-500">{inProgress} still in progress (not counted)</span>}
+        </div>
+        <div className="overflow-x-auto">
+          <table className="w-full text-right">
+            <thead>
+              <tr className="border-b text-slate-500">
+                <th className="text-left font-normal py-1 pr-2">Question</th>
+                <th className="font-normal py-1 px-2">Reached</th>
+                <th className="font-normal py-1 px-2">Answered</th>
+                <th className="font-normal py-1 px-2">Dropped here</th>
+                <th className="font-normal py-1 pl-2">Median time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {funnel.rows.map((row) => (
+                <tr key={row.id} className="border-b last:border-0">
+                  <td className="text-left py-1 pr-2">
+                    <div className="truncate max-w-64">Q{numbers[row.id]}. {prompts[row.id]}</div>
+                    <div className="h-1.5 rounded-full bg-slate-100 overflow-hidden">
+                      <div className="h-full bg-slate-900" style={{ width: pct(row.reached, started) }} />
+                    </div>
+                  </td>
+                  <td className="py-1 px-2">{row.reached} <span className="text-slate-500">({pct(row.reached, started)})</span></td>
+                  <td className="py-1 px-2">{row.answered} <span className="text-slate-500">({pct(row.answered, row.reached)})</span></td>
+                  <td className={`py-1 px-2 ${row.abandoned ? "text-red-600" : ""}`}>{row.abandoned}</td>
+                  <td className="py-1 pl-2">{row.medianMs === null ? "—" : formatDuration(row.medianMs)}</td>
+                </tr>
               ))}
-            </AnimatePresence>
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-slate-500">
+          Abandoned responses only appear here: the charts, statistics and exports count submitted responses only.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
+
+// -------------------- Individual responses --------------------
+const RESPONSES_PER_PAGE = 10;
+
+function ResponseTable({ survey, responses, onPatch, onDelete }) {
+  const [page, setPage] = useState(0);
+  const [openId, setOpenId] = useState(null);
+  const sorted = useMemo(() => [...responses].sort((a, b) => b.timestamp - a.timestamp), [responses]);
+  const pages = Math.max(1, Math.ceil(sorted.length / RESPONSES_PER_PAGE));
+  const current = Math.min(page, pages - 1);
+  const rows = sorted.slice(current * RESPONSES_PER_PAGE, (current + 1) * RESPONSES_PER_PAGE);
+
+  return (
+    <Card className="rounded-2xl">
+      <CardHeader>
+        <CardTitle className="text-base flex items-center justify-between">
+          <span>Individual responses</span>
+          <span className="text-xs font-normal text-slate-500">{sorted.length} total</span>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-2 text-sm">
+        {sorted.length === 0 && <p className="text-slate-500">No responses yet.</p>}
+        {rows.map((r) => {
+          const quality = responseQuality(questionsFor(survey, r), r);
+          const open = openId === r.id;
+          return (
+            <div key={r.id} className={`rounded-xl border ${r.flagged ? "border-red-200 bg-red-50/40" : "border-slate-200"}`}>
+              <button type="button" onClick={() => setOpenId(open ? null : r.id)} className="w-full flex flex-wrap items-center justify-between gap-2 p-3 text-left">
+                <span className="font-medium">{new Date(r.timestamp).toLocaleString()}</span>
+                <span className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+                  <span>v{r.version}</span>
+                  <span>{quality.answered}/{quality.reached} answered</span>
+                  {r.flagged && <span className="rounded-full bg-red-100 px-2 py-0.5 text-red-700">Spam</span>}
+                  {r.note && <span className="rounded-full bg-amber-100 px-2 py-0.5 text-amber-800">Note</span>}
+                  <span>{open ? "Hide" : "Open"}</span>
+                </span>
+              </button>
+              {open && <ResponseDetail survey={survey} response={r} issues={quality.issues} onPatch={(patch) => onPatch(r.id, patch)} onDelete={(reverse) => onDelete(r.id, reverse)} />}
+            </div>
+          );
+        })}
+        {pages > 1 && (
+          <div className="flex items-center justify-between pt-2">
+            <Button size="sm" variant="outline" disabled={current === 0} onClick={() => setPage(current - 1)} className="rounded-2xl">Previous</Button>
+            <span className="text-xs text-slate-500">Page {current + 1} of {pages}</span>
+            <Button size="sm" variant="outline" disabled={current >= pages - 1} onClick={() => setPage(current + 1)} className="rounded-2xl">Next</Button>
           </div>
-        </CardContent>
-      </Card>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
 
-      <PreviewPanel survey={survey} />
+function ResponseDetail({ survey, response, issues, onPatch, onDelete }) {
+  const questions = questionsFor(survey, response);
+  const numbers = questionNumbers(questions);
+  const [note, setNote] = useState(response.note || "");
+  const [reverse, setReverse] = useState(false);
+  const remove = () => {
+    const message = reverse
+      ? `Delete this response and take $${REWARD_PER_SUBMISSION} back out of the wallet?`
+      : "Delete this response? The wallet credit it earned stays.";
+    if (confirm(message)) onDelete(reverse);
+  };
+
+  return (
+    <div className="border-t p-3 space-y-3">
+      <dl className="space-y-2">
+        {questions.filter((q) => !isSection(q) && response.answers[q.id] !== undefined).map((q) => (
+          <div key={q.id}>
+            <dt className="text-xs text-slate-500">Q{numbers[q.id]}. {q.prompt}</dt>
+            <dd className="text-slate-800">
+              {formatAnswer(response.answers[q.id])}
+              {response.themes?.[q.id]?.length > 0 && <span className="ml-2 text-xs text-slate-500">({response.themes[q.id].join(", ")})</span>}
+            </dd>
+          </div>
+        ))}
+      </dl>
+      {issues.length > 0 && <p className="text-xs text-amber-700">{issues.join(" · ")}</p>}
+      <div className="grid gap-1">
+        <Label className="text-xs text-slate-500">Internal note</Label>
+        <Textarea value={note} onChange={(e) => setNote(e.target.value)} onBlur={() => note !== (response.note || "") && onPatch({ note: note || undefined })} placeholder="Only visible here" className="rounded-2xl" />
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button size="sm" variant="outline" onClick={() => onPatch({ flagged: !response.flagged })} className="rounded-2xl">
+          {response.flagged ? "Not spam" : "Flag as spam"}
+        </Button>
+        <div className="flex items-center gap-2 text-xs text-slate-500 ml-auto">
+          <Switch checked={reverse} onCheckedChange={setReverse} />
+          <span>Reverse the ${REWARD_PER_SUBMISSION} credit</span>
+        </div>
+        <Button size="sm" variant="destructive" onClick={remove} className="rounded-2xl"><Trash2 className="h-4 w-4 mr-1"/>Delete</Button>
+      </div>
     </div>
   );
 }
 
-function PreviewPanel({ survey }) {
+// -------------------- Trends --------------------
+/** Local midnight of the day (or the Monday of the week) containing `ts`. */
+function bucketStart(ts, unit) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  if (unit === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d.getTime();
+}
+
+function nextBucket(t, unit) {
+  const d = new Date(t);
+  d.setDate(d.getDate() + (unit === "week" ? 7 : 1));
+  return bucketStart(d.getTime(), unit);
+}
+
+const bucketLabel = (t, withYear) =>
+  new Date(t).toLocaleDateString(undefined, { month: "short", day: "numeric", ...(withYear && { year: "numeric" }) });
+
+const TREND_MAX_GAP = 30; // longer runs of empty days/weeks collapse into one gap row
+
+/**
+ * One row per day/week from the first response to the last, empty ones included: the response count and, for `q`,
+ * the bucket's mean and the mean over the trailing `window` buckets. Labels carry the year when the range crosses one.
+ * A run of more than TREND_MAX_GAP empty buckets (say, one response with a 1970 clock) becomes a single gap row, which
+ * rolling means don't reach across, so the chart stays as long as the data.
+ */
+function trendRows(responses, unit, q, window) {
+  if (responses.length === 0) return [];
+  const starts = responses.map((r) => bucketStart(r.timestamp, unit));
+  const present = [...new Set(starts)].sort((a, b) => a - b);
+  const withYear = new Date(present[0]).getFullYear() !== new Date(present[present.length - 1]).getFullYear();
+  const rows = [];
+  present.forEach((t, i) => {
+    if (i > 0) {
+      const empty = [];
+      for (let e = nextBucket(present[i - 1], unit); e < t && empty.length <= TREND_MAX_GAP; e = nextBucket(e, unit)) empty.push(e);
+      if (empty.length > TREND_MAX_GAP) {
+        const span = Math.round((t - present[i - 1]) / (unit === "week" ? 7 : 1) / 864e5) - 1;
+        rows.push({ t: null, gap: true, name: `${span} ${unit}s without responses`, count: null, sum: 0, n: 0 });
+      } else {
+        empty.forEach((e) => rows.push({ t: e, name: bucketLabel(e, withYear), count: 0, sum: 0, n: 0 }));
+      }
+    }
+    rows.push({ t, name: bucketLabel(t, withYear), count: 0, sum: 0, n: 0 });
+  });
+  const byStart = new Map(rows.filter((row) => !row.gap).map((row) => [row.t, row]));
+  responses.forEach((r, i) => {
+    const row = byStart.get(starts[i]);
+    row.count++;
+    const value = q ? Number(r.answers[q.id]) : NaN;
+    if (r.answers[q?.id] !== undefined && Number.isFinite(value)) {
+      row.sum += value;
+      row.n++;
+    }
+  });
+  return rows.map((row, i) => {
+    let span = rows.slice(Math.max(0, i - window + 1), i + 1);
+    span = span.slice(span.map((x) => !!x.gap).lastIndexOf(true) + 1);
+    const n = span.reduce((a, x) => a + x.n, 0);
+    return {
+      t: row.t,
+      name: row.name,
+      count: row.count,
+      mean: row.n ? row.sum / row.n : null,
+      rolling: n ? span.reduce((a, x) => a + x.sum, 0) / n : null,
+    };
+  });
+}
+
+const ROLLING_WINDOW = { day: 7, week: 4 };
+
+function Trends({ survey, questions, responses, numbers }) {
+  const [unit, setUnit] = useState("day");
+  const scored = questions.filter((q) => ["rating", "nps", "number"].includes(q.type));
+  const [qid, setQid] = useState(scored[0]?.id);
+  const q = scored.find((x) => x.id === qid);
+  const rows = useMemo(() => trendRows(responses, unit, q, ROLLING_WINDOW[unit]), [responses, unit, q]);
+  if (rows.length === 0) return null;
+
+  // Every publish after v1 changed what respondents saw; mark it where it falls in the range.
+  const names = new Map(rows.map((r) => [r.t, r.name]));
+  const markers = survey.versions
+    .filter((v) => v.version > 1)
+    .map((v) => ({ x: names.get(bucketStart(v.publishedAt, unit)), label: `v${v.version}` }))
+    .filter((m) => m.x);
+  const edits = markers.map((m) => <ReferenceLine key={m.label} x={m.x} stroke="#f59e0b" strokeDasharray="4 2" label={{ value: m.label, position: "top", fontSize: 11 }} />);
+
   return (
-    <Card className="rounded-2xl shadow-sm">
+    <Card className="rounded-2xl">
       <CardHeader>
-        <CardTitle>Live Preview</CardTitle>
+        <CardTitle className="text-base flex items-center justify-between gap-2">
+          <span>Trends</span>
+          <Select value={unit} onValueChange={setUnit}>
+            <SelectTrigger className="rounded-2xl w-32"><SelectValue /></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="day">Per day</SelectItem>
+              <SelectItem value="week">Per week</SelectItem>
+            </SelectContent>
+          </Select>
+        </CardTitle>
       </CardHeader>
-      <CardContent className="space-y-3">
-        <h2 className="text-xl font-semibold">{survey.title || "Untitled survey"}</h2>
-        {survey.description && <p className="text-slate-500 text-sm">{survey.description}</p>}
-        <Separator />
-        <div className="space-y-4">
-          {survey.questions.length === 0 && (
-            <p className="text-sm text-slate-500">No questions yet. Use the buttons above to add some.</p>
-          )}
-          {survey.questions.map((q) => (
-            <div key={q.id} className="space-y-2">
-              <p className="font-medium">{q.prompt}{q.required && <span className="text-red-500">*</span>}</p>
-              {q.type === "text" && <Input placeholder="Your answer" className="rounded-2xl" readOnly />}
-              {q.type === "mcq" && (
-                <div className="flex flex-wrap gap-2">
-                  {(q.options || []).map((opt, i) => (
-                    <Button key={i} variant="outline" size="sm" className="rounded-2xl" disabled>{opt}</Button>
-                  ))}
-                </div>
-              )}
-              {q.type === "rating" && (
-                <div className="flex gap-1">
-                  {Array.from({ length: q.max || 5 }).map((_, i) => (
-                    <div key={i} className="h-6 w-6 rounded-full bg-slate-200" />
-                  ))}
-                </div>
-              )}
-            </div>
-          ))}
+      <CardContent className="space-y-4 text-sm">
+        <div className="h-48 w-full">
+          <ResponsiveContainer width="100%" height="100%">
+            <RBarChart data={rows}>
+              <XAxis dataKey="name" />
+              <YAxis allowDecimals={false} />
+              <Tooltip />
+              <Bar dataKey="count" name="Responses" />
+              {edits}
+            </RBarChart>
+          </ResponsiveContainer>
         </div>
+
+        {scored.length > 0 && (
+          <>
+            <Select value={qid || ""} onValueChange={setQid}>
+              <SelectTrigger className="rounded-2xl"><SelectValue placeholder="Pick a question" /></SelectTrigger>
+              <SelectContent>
+                {scored.map((x) => <SelectItem key={x.id} value={x.id}>Q{numbers[x.id]}. {x.prompt}</SelectItem>)}
+              </SelectContent>
+            </Select>
+            <div className="h-56 w-full">
+              <ResponsiveContainer width="100%" height="100%">
+                <LineChart data={rows}>
+                  <XAxis dataKey="name" />
+                  <YAxis domain={["auto", "auto"]} />
+                  <Tooltip formatter={(v) => (v === null ? "–" : Number(v).toFixed(2))} />
+                  <Legend />
+                  <Line dataKey="mean" name={`${unit === "day" ? "Daily" : "Weekly"} mean`} stroke="#94a3b8" dot={{ r: 2 }} connectNulls={false} />
+                  <Line dataKey="rolling" name={`${ROLLING_WINDOW[unit]}-${unit} rolling average`} stroke="#0f172a" strokeWidth={2} dot={false} connectNulls />
+                  {edits}
+                </LineChart>
+              </ResponsiveContainer>
+            </div>
+          </>
+        )}
+        {markers.length > 0 && <p className="text-xs text-slate-500">Dashed lines mark when a new version was published.</p>}
       </CardContent>
     </Card>
   );
 }
 
-// -------------------- Collector --------------------
-function Collector({ survey, onSubmit }) {
-  const [answers, setAnswers] = useState(/** @type {Record<string, string|number>} */({}));
-  const [submitted, setSubmitted] = useState(false);
+// -------------------- Text analytics --------------------
+const STOP_WORDS = new Set(
+  ("a about above after again all also am an and any are as at be because been before being below between both but by can " +
+    "could did do does doing down during each few for from further had has have having he her here hers him his how i if in " +
+    "into is it its itself just me more most my no nor not now of off on once only or other our ours out over own same she " +
+    "should so some such than that the their theirs them then there these they this those through to too under until up very " +
+    "was we were what when where which while who whom why will with would you your yours i'm it's don't didn't isn't wasn't " +
+    "can't won't really get got would've thing things lot").split(" ")
+);
+
+// A small offline lexicon (word → weight, -4…4). Negators flip the next sentiment word within three words.
+const SENTIMENT_LEXICON = {
+  good: 2, great: 3, excellent: 3, amazing: 4, awesome: 4, love: 3, loved: 3, like: 2, liked: 2, nice: 2, happy: 3,
+  helpful: 2, easy: 2, fast: 2, quick: 2, friendly: 2, recommend: 2, perfect: 3, best: 3, fantastic: 4, wonderful: 4,
+  pleased: 2, satisfied: 2, smooth: 2, reliable: 2, intuitive: 2, thanks: 2, thank: 2, useful: 2, enjoy: 2, enjoyed: 2,
+  convenient: 2, affordable: 2, clean: 1, improved: 2, bad: -3, poor: -2, terrible: -3, awful: -3, horrible: -3, hate: -3,
+  slow: -2, broken: -2, bug: -2, bugs: -2, crash: -2, crashes: -2, confusing: -2, difficult: -2, hard: -1, expensive: -2,
+  rude: -3, unhelpful: -2, disappointed: -2, disappointing: -2, annoying: -2, frustrating: -2, frustrated: -2, worst: -3,
+  useless: -3, problem: -1, problems: -1, issue: -1, issues: -1, waiting: -1, late: -1, missing: -1, error: -2, errors: -2,
+  dirty: -2, lacking: -2, worse: -2, unclear: -2,
+};
+const NEGATORS = new Set(["not", "no", "never", "don't", "doesn't", "didn't", "isn't", "wasn't", "can't", "won't", "hardly"]);
+
+const tokenize = (text) => String(text).toLowerCase().replace(/[’‘]/g, "'").match(/[a-z0-9']+/g) || [];
+
+/** Top single words and two-word phrases, ignoring stop words. */
+function termFrequencies(texts, limit = 15) {
+  const words = new Map();
+  const phrases = new Map();
+  const bump = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+  texts.forEach((text) => {
+    const tokens = tokenize(text);
+    tokens.forEach((t, i) => {
+      if (STOP_WORDS.has(t) || t.length < 2) return;
+      bump(words, t);
+      const next = tokens[i + 1];
+      if (next && !STOP_WORDS.has(next) && next.length > 1) bump(phrases, `${t} ${next}`);
+    });
+  });
+  const top = (map, min) => [...map].filter(([, n]) => n >= min).sort((a, b) => b[1] - a[1]).slice(0, limit);
+  return { words: top(words, 1), phrases: top(phrases, 2) };
+}
 
-  const validate = () =>
-    survey.questions.every((q) => !q.required || (answers[q.id] !== undefined && String(answers[q.id]).trim() !== ""));
+/** Sum of lexicon weights, with negation; > 0 reads positive, < 0 negative. */
+function sentiment(text) {
+  let score = 0;
+  let negateFor = 0;
+  tokenize(text).forEach((t) => {
+    if (NEGATORS.has(t)) {
+      negateFor = 3;
+      return;
+    }
+    const weight = SENTIMENT_LEXICON[t] || 0;
+    score += negateFor > 0 ? -weight : weight;
+    if (weight) negateFor = 0;
+    else negateFor = Math.max(0, negateFor - 1);
+  });
+  return score;
+}
 
-  const handleSubmit = (e) => {
-    e.preventDefault();
-    if (!validate()) return alert("Please answer all required questions.");
-    onSubmit({ timestamp: Date.now(), answers });
-    setSubmitted(true);
-    setAnswers({});
+const sentimentLabel = (score) => (score > 0 ? "positive" : score < 0 ? "negative" : "neutral");
+const SENTIMENT_STYLES = { positive: "bg-emerald-50 text-emerald-700", neutral: "bg-slate-100 text-slate-600", negative: "bg-red-50 text-red-700" };
+
+function Highlight({ text, query }) {
+  if (!query.trim()) return text;
+  const re = new RegExp(`(${query.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&")})`, "gi");
+  return text.split(re).map((part, i) => (i % 2 ? <mark key={i} className="bg-yellow-200 rounded px-0.5">{part}</mark> : part));
+}
+
+const TEXT_PAGE_SIZE = 20;
+
+function TextAnswers({ q, responses, onTag, onQuote }) {
+  const [query, setQuery] = useState("");
+  const [theme, setTheme] = useState("all");
+  const [shown, setShown] = useState(TEXT_PAGE_SIZE);
+  const answers = useMemo(
+    () =>
+      responses
+        .filter((r) => isAnswered(q, r.answers[q.id]))
+        .map((r) => {
+          const text = String(r.answers[q.id]);
+          return { id: r.id, text, themes: r.themes?.[q.id] || [], score: sentiment(text), quoted: !!r.quoted?.includes(q.id) };
+        }),
+    [q, responses]
+  );
+  const terms = useMemo(() => termFrequencies(answers.map((a) => a.text)), [answers]);
+  const themes = [...new Set(answers.flatMap((a) => a.themes))].sort();
+  if (answers.length === 0) return <p className="text-sm text-slate-500">No answers yet.</p>;
+
+  const mood = { positive: 0, neutral: 0, negative: 0 };
+  answers.forEach((a) => mood[sentimentLabel(a.score)]++);
+  const matching = answers.filter(
+    (a) =>
+      a.text.toLowerCase().includes(query.trim().toLowerCase()) &&
+      (theme === "all" || (theme === "untagged" ? a.themes.length === 0 : a.themes.includes(theme)))
+  );
+  const addTheme = (a, name) => {
+    const label = name === "__new" ? prompt("New theme")?.trim() : name;
+    if (label && !a.themes.includes(label)) onTag(a.id, q.id, [...a.themes, label]);
   };
 
-  if (submitted) {
-    return (
-      <Card className="rounded-2xl">
-        <CardHeader><CardTitle>Thank you! 🎉</CardTitle></CardHeader>
-        <CardContent>
-          <p className="text-slate-600">Your response has been recorded locally and <span className="font-semibold">$100</span> has been added to your wallet (simulation).</p>
-          <Button className="mt-3 rounded-2xl" onClick={() => setSubmitted(false)}>Submit another</Button>
-        </CardContent>
-      </Card>
-    );
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(mood).map(([label, n]) => (
+          <span key={label} className={`rounded-full px-2 py-0.5 text-xs ${SENTIMENT_STYLES[label]}`}>
+            {Math.round((n / answers.length) * 100)}% {label}
+          </span>
+        ))}
+        {themes.map((t) => (
+          <span key={t} className="rounded-full border px-2 py-0.5 text-xs">{t} · {answers.filter((a) => a.themes.includes(t)).length}</span>
+        ))}
+      </div>
+
+      <div>
+        <p className="text-xs text-slate-500 mb-1">Most frequent words and phrases. Click one to search for it.</p>
+        <div className="flex flex-wrap gap-1">
+          {[...terms.phrases, ...terms.words].map(([term, n]) => (
+            <button key={term} type="button" onClick={() => setQuery(term)} className="rounded-full bg-slate-100 px-2 py-0.5 text-xs hover:bg-slate-200">
+              {term} <span className="text-slate-500">{n}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <Input value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search answers" className="rounded-2xl flex-1 min-w-40" />
+        <Select value={theme} onValueChange={setTheme}>
+          <SelectTrigger className="rounded-2xl w-40"><SelectValue /></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="all">All themes</SelectItem>
+            <SelectItem value="untagged">Untagged</SelectItem>
+            {themes.map((t) => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+          </SelectContent>
+        </Select>
+      </div>
+      <p className="text-xs text-slate-500">{matching.length} of {answers.length} answer(s)</p>
+
+      <ul className="space-y-2">
+        {matching.slice(0, shown).map((a) => (
+          <li key={a.id} className="rounded-xl border border-slate-200 p-2 space-y-1">
+            <div className="flex items-start justify-between gap-2">
+              <span className="text-slate-700"><Highlight text={a.text} query={query} /></span>
+              <span className="flex shrink-0 items-center gap-1">
+                <span className={`rounded-full px-2 py-0.5 text-xs ${SENTIMENT_STYLES[sentimentLabel(a.score)]}`}>{sentimentLabel(a.score)}</span>
+                <button type="button" onClick={() => onQuote(a.id, q.id, !a.quoted)} title={a.quoted ? "Remove from report" : "Quote in report"}>
+                  <Star className={`h-4 w-4 ${a.quoted ? "fill-amber-400 text-amber-500" : "text-slate-300"}`} />
+                </button>
+              </span>
+            </div>
+            <div className="flex flex-wrap items-center gap-1">
+              {a.themes.map((t) => (
+                <button key={t} type="button" onClick={() => onTag(a.id, q.id, a.themes.filter((x) => x !== t))} className="rounded-full border px-2 py-0.5 text-xs" title="Remove theme">
+                  {t} ×
+                </button>
+              ))}
+              <Select value="" onValueChange={(name) => addTheme(a, name)}>
+                <SelectTrigger className="rounded-2xl h-6 w-auto text-xs"><SelectValue placeholder="+ Theme" /></SelectTrigger>
+                <SelectContent>
+                  {themes.filter((t) => !a.themes.includes(t)).map((t) => <SelectItem key={t} value={t}>{t}</SelectItem>)}
+                  <SelectItem value="__new">New theme…</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </li>
+        ))}
+      </ul>
+      {matching.length > shown && (
+        <Button size="sm" variant="ghost" onClick={() => setShown(shown + TEXT_PAGE_SIZE)} className="rounded-2xl">Show more</Button>
+      )}
+    </div>
+  );
+}
+
+// -------------------- Cross-tab --------------------
+/** The categories a question can be cross-tabulated on, or null for types that don't split into groups. */
+function crossCategories(q) {
+  switch (q.type) {
+    case "mcq":
+    case "dropdown":
+    case "multi":
+      return q.options || [];
+    case "rating":
+      return q.scoreAsNps ? NPS_GROUPS : Array.from({ length: q.max || 5 }, (_, i) => String(i + 1));
+    case "nps":
+      return NPS_GROUPS;
+    default:
+      return null;
   }
+}
+
+function categorize(q, value) {
+  if (value === undefined || value === "") return [];
+  if (scoresAsNps(q)) return [npsGroup(Number(value))];
+  return [].concat(value).map(String);
+}
+
+/** Counts[row][col] over responses that answered both questions; a checkbox answer counts once per ticked option. */
+function crossTabulate(rowQ, colQ, responses) {
+  const rows = crossCategories(rowQ);
+  const cols = crossCategories(colQ);
+  const counts = rows.map(() => cols.map(() => 0));
+  let n = 0;
+  responses.forEach((r) => {
+    const rs = categorize(rowQ, r.answers[rowQ.id]).map((v) => rows.indexOf(v)).filter((i) => i >= 0);
+    const cs = categorize(colQ, r.answers[colQ.id]).map((v) => cols.indexOf(v)).filter((i) => i >= 0);
+    if (!rs.length || !cs.length) return;
+    n++;
+    rs.forEach((ri) => cs.forEach((ci) => counts[ri][ci]++));
+  });
+  return { rows, cols, counts, n };
+}
+
+function CrossTab({ questions, responses, numbers }) {
+  const eligible = questions.filter((q) => crossCategories(q));
+  const [rowId, setRowId] = useState(eligible[0]?.id);
+  const [colId, setColId] = useState(eligible[1]?.id);
+  const [mode, setMode] = useState("counts");
+  const rowQ = eligible.find((q) => q.id === rowId);
+  const colQ = eligible.find((q) => q.id === colId);
+  const table = useMemo(() => rowQ && colQ && rowQ !== colQ && crossTabulate(rowQ, colQ, responses), [rowQ, colQ, responses]);
+  if (eligible.length < 2) return null;
+
+  const pick = (value, onChange) => (
+    <Select value={value || ""} onValueChange={onChange}>
+      <SelectTrigger className="rounded-2xl"><SelectValue placeholder="Pick a question" /></SelectTrigger>
+      <SelectContent>
+        {eligible.map((q) => <SelectItem key={q.id} value={q.id}>Q{numbers[q.id]}. {q.prompt}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
+  const rowTotals = table ? table.counts.map((row) => row.reduce((a, b) => a + b, 0)) : [];
+  const colTotals = table ? table.cols.map((_, ci) => table.counts.reduce((a, row) => a + row[ci], 0)) : [];
+  const grand = rowTotals.reduce((a, b) => a + b, 0);
+  const cell = (count, ri, ci) => {
+    const base = mode === "row" ? rowTotals[ri] : mode === "col" ? colTotals[ci] : 0;
+    return mode === "counts" ? count : base ? `${Math.round((count / base) * 100)}%` : "–";
+  };
+  // Chi-square needs one answer per respondent on each side, which checkbox questions don't give.
+  const multi = rowQ?.type === "multi" || colQ?.type === "multi";
+  const test = table && !multi ? chiSquare(table.counts) : null;
+  const segments = table ? table.rows.filter((_, ri) => rowTotals[ri] > 0) : [];
+  const segmentData = table
+    ? table.cols.map((c, ci) => ({
+        name: c,
+        ...Object.fromEntries(table.rows.map((r, ri) => [r, rowTotals[ri] ? Math.round((table.counts[ri][ci] / rowTotals[ri]) * 100) : 0])),
+      }))
+    : [];
 
   return (
     <Card className="rounded-2xl">
       <CardHeader>
-        <CardTitle className="flex items-center gap-2">
-          <span>{survey.title || "Survey"}</span>
-        </CardTitle>
+        <CardTitle className="text-base">Cross-tab</CardTitle>
       </CardHeader>
-      <CardContent>
-        {survey.description && <p className="text-slate-500 mb-4">{survey.description}</p>}
-        <div className="mb-3 text-sm text-emerald-700 bg-emerald-50 border border-emerald-200 rounded-xl p-3">
-          Complete the survey and earn <span className="font-semibold">${REWARD_PER_SUBMISSION}.00</span> to your wallet. (Demo only)
+      <CardContent className="space-y-3 text-sm">
+        <div className="grid sm:grid-cols-[1fr_1fr_auto] gap-2">
+          <div className="grid gap-1"><Label className="text-xs text-slate-500">Rows (segments)</Label>{pick(rowId, setRowId)}</div>
+          <div className="grid gap-1"><Label className="text-xs text-slate-500">Columns</Label>{pick(colId, setColId)}</div>
+          <div className="grid gap-1">
+            <Label className="text-xs text-slate-500">Show</Label>
+            <Select value={mode} onValueChange={setMode}>
+              <SelectTrigger className="rounded-2xl w-32"><SelectValue /></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="counts">Counts</SelectItem>
+                <SelectItem value="row">Row %</SelectItem>
+                <SelectItem value="col">Column %</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
         </div>
-        <form onSubmit={handleSubmit} className="space-y-5">
-          {survey.questions.map((q) => (
-            <div key={q.id} className="space-y-2">
-              <Label className="font-medium">{q.prompt}{q.required && <span className="text-red-500">*</span>}</Label>
-              {q.type === "text" && (
-                <Textarea
-                  value={(answers[q.id] as string) || ""}
-                  onChange={(e) => setAnswers((a) => ({ ...a, [q.id]: e.target.value }))}
-                  placeholder="Type your answer"
-                  className="rounded-2xl"
-                />
-              )}
-              {q.type === "mcq" && (
-                <div className="flex flex-wrap gap-2">
-                  {(q.options || []).map((opt, i) => {
-                    const active = answers[q.id] === opt;
-                    return (
-                      <Button
-                        type="button"
-                        key={i}
-                        variant={active ? "default" : "outline"}
-                        className="rounded-2xl"
-                        onClick={() => setAnswers((a) => ({ ...a, [q.id]: opt }))}
-                      >
-                        {opt}
-                      </Button>
-                    );
-                  })}
-                </div>
-              )}
-              {q.type === "rating" && (
-                <div className="flex items-center gap-2">
-                  {Array.from({ length: q.max || 5 }, (_, i) => i + 1).map((n) => (
-                    <button
-                      key={n}
-                      type="button"
-                      aria-label={`Rate ${n}`}
-                      className={`h-8 w-8 rounded-full border transition ${
-                        (answers[q.id] || 0) >= n ? "bg-slate-900 text-white" : "bg-white"
-                      }`}
-                      onClick={() => setAnswers((a) => ({ ...a, [q.id]: n }))}
-                    >
-                      {n}
-                    </button>
+
+        {rowQ === colQ && <p className="text-slate-500">Pick two different questions.</p>}
+        {table && (
+          <>
+            <div className="overflow-x-auto">
+              <table className="w-full text-right">
+                <thead>
+                  <tr className="border-b text-slate-500">
+                    <th className="text-left font-normal py-1 pr-2"></th>
+                    {table.cols.map((c) => <th key={c} className="font-normal py-1 px-2">{c}</th>)}
+                    <th className="font-normal py-1 pl-2">Total</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {table.rows.map((r, ri) => (
+                    <tr key={r} className="border-b last:border-0">
+                      <td className="text-left py-1 pr-2">{r}</td>
+                      {table.counts[ri].map((count, ci) => <td key={ci} className="py-1 px-2">{cell(count, ri, ci)}</td>)}
+                      <td className="py-1 pl-2 font-medium">{rowTotals[ri]}</td>
+                    </tr>
                   ))}
-                </div>
-              )}
+                  <tr className="text-slate-500">
+                    <td className="text-left py-1 pr-2">Total</td>
+                    {colTotals.map((t, ci) => <td key={ci} className="py-1 px-2">{t}</td>)}
+                    <td className="py-1 pl-2">{grand}</td>
+                  </tr>
+                </tbody>
+              </table>
             </div>
-          ))}
-          <div className="pt-2">
-            <Button type="submit" className="rounded-2xl">Submit & Earn ${REWARD_PER_SUBMISSION}</Button>
-          </div>
-        </form>
+            <p className="text-xs text-slate-500">{table.n} response(s) answered both questions.</p>
+
+            {multi ? (
+              <p className="text-xs text-slate-500">No significance test: checkbox answers can fall in several cells at once.</p>
+            ) : test ? (
+              <div className={`rounded-xl p-3 ${test.p < 0.05 ? "bg-emerald-50 text-emerald-800" : "bg-slate-50 text-slate-600"}`}>
+                χ² = {test.stat.toFixed(2)}, df = {test.df}, p = {test.p < 0.001 ? "< 0.001" : test.p.toFixed(3)}
+                {" · "}
+                {test.p < 0.05 ? "The two answers are associated (significant at 95%)." : "No significant association."}
+                {test.sparse && <div className="text-xs text-amber-700 mt-1">Many cells expect fewer than 5 responses, so treat this result with caution.</div>}
+              </div>
+            ) : (
+              <p className="text-xs text-slate-500">Not enough data for a significance test yet.</p>
+            )}
+
+            {segments.length > 1 && (
+              <div>
+                <p className="text-xs text-slate-500 mb-1">Share of each row segment (%) giving each column answer</p>
+                <DistributionChart data={segmentData} series={segments} stacked={false} />
+              </div>
+            )}
+          </>
+        )}
       </CardContent>
     </Card>
   );
 }
 
-// -------------------- Results --------------------
-function Results({ survey, responses, wallet }) {
-  const total = responses.length;
-  const byQuestion = useMemo(() => {
-    const map = /** @type {Record<string, Array<string|number>>} */({});
-    responses.forEach((r) => {
-      Object.entries(r.answers).forEach(([qid, val]) => {
-        map[qid] = map[qid] || [];
-        map[qid].push(val);
-      });
+// -------------------- Report --------------------
+// The report is a standalone HTML document: styles and SVG charts are inlined so it prints the same offline.
+/** @type {ReportLayout} */
+const DEFAULT_REPORT = { cover: true, overview: true, charts: true, stats: true, quotes: "selected", quotesPerQuestion: 5, paper: "A4", orientation: "portrait", pagePerQuestion: false };
+
+const escapeHTML = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+/** Horizontal bar chart as an SVG string; `series` stacks one segment per key, like DistributionChart. */
+function svgChart({ data, series }) {
+  const keys = series || ["count"];
+  const labelWidth = 180;
+  const plotWidth = 400;
+  const bar = 18;
+  const legend = series ? 24 : 0;
+  const totals = data.map((d) => keys.reduce((sum, k) => sum + (d[k] || 0), 0));
+  const max = Math.max(1, ...totals);
+  const short = (s) => (s.length > 28 ? `${s.slice(0, 27)}…` : s);
+  const legendItems = (series || []).map(
+    (k, i) => `<rect x="${i * 120}" y="2" width="10" height="10" fill="${CHART_COLORS[i % CHART_COLORS.length]}"/><text x="${i * 120 + 14}" y="11">${escapeHTML(k.length > 16 ? `${k.slice(0, 15)}…` : k)}</text>`
+  );
+  const rows = data.map((d, i) => {
+    const y = legend + i * (bar + 6);
+    let x = labelWidth;
+    const segments = keys.map((k, j) => {
+      const w = ((d[k] || 0) / max) * plotWidth;
+      const rect = w > 0 ? `<rect x="${x.toFixed(1)}" y="${y}" width="${w.toFixed(1)}" height="${bar}" fill="${CHART_COLORS[j % CHART_COLORS.length]}"/>` : "";
+      x += w;
+      return rect;
     });
-    return map;
-  }, [responses]);
+    return `<text x="${labelWidth - 8}" y="${y + 13}" text-anchor="end">${escapeHTML(short(String(d.name)))}</text>${segments.join("")}<text x="${(x + 6).toFixed(1)}" y="${y + 13}">${totals[i]}</text>`;
+  });
+  const height = legend + data.length * (bar + 6);
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${labelWidth + plotWidth + 40} ${height}" width="100%" font-size="11">${legendItems.join("")}${rows.join("")}</svg>`;
+}
 
-  return (
-    <div className="grid md:grid-cols-3 gap-4">
-      <Card className="md:col-span-1 rounded-2xl">
-        <CardHeader>
-          <CardTitle className="flex items-center gap-2"><BarChart3 className="h-5 w-5"/>Overview</CardTitle>
-        </CardHeader>
-        <CardContent className="space-y-2 text-sm text-slate-600">
-          <div className="flex justify-between"><span>Responses</span><span className="font-medium">{total}</span></div>
-          <div className="flex justify-between"><span>Questions</span><span className="font-medium">{survey.questions.length}</span></div>
-          <div className="flex justify-between"><span>Total Earnings</span><span className="font-medium">${(total * REWARD_PER_SUBMISSION).toFixed(2)}</span></div>
-          <div className="flex justify-between"><span>Wallet Balance</span><span className="font-medium">${wallet.balance.toFixed(2)}</span></div>
-        </CardContent>
-      </Card>
+function statsTable(stats) {
+  const fmt = (x) => x.toFixed(2);
+  const rows = [
+    ...(stats.nps ? [["NPS", Math.round(stats.nps.score)], ["Promoters", `${Math.round(stats.nps.promoters)}%`], ["Passives", `${Math.round(stats.nps.passives)}%`], ["Detractors", `${Math.round(stats.nps.detractors)}%`]] : []),
+    ["n", stats.n],
+    ["Mean", fmt(stats.mean)],
+    ["95% CI", `${fmt(stats.ci[0])}–${fmt(stats.ci[1])}`],
+    ["Median", stats.median],
+    ["Std dev", fmt(stats.sd)],
+    ...(stats.top2 !== undefined ? [["Top-2-box", `${Math.round(stats.top2)}%`]] : []),
+  ];
+  return `<table class="stats">${rows.map(([k, v]) => `<tr><th>${k}</th><td>${v}</td></tr>`).join("")}</table>`;
+}
 
-      <div className="md:col-span-2 space-y-4">
-        {survey.questions.map((q, idx) => (
-          <Card key={q.id} className="rounded-2xl">
-            <CardHeader>
-              <CardTitle className="text-base">Q{idx + 1}. {q.prompt}</CardTitle>
-            </CardHeader>
-            <CardContent>
-              {q.type === "text" && (
-                <div className="space-y-2">
-                  {byQuestion[q.id]?.length ? (
-                    <ul className="list-disc pl-6 space-y-1">
-                      {byQuestion[q.id].map((a, i) => (
-                        <li key={i} className="text-slate-700">{String(a)}</li>
-                      ))}
-                    </ul>
-                  ) : (
-                    <p className="text-sm text-slate-500">No answers yet.</p>
-                  )}
-                </div>
-              )}
+/** Verbatims for a text question: the ones starred in Results, or the most recent. */
+function reportQuotes(q, responses, layout) {
+  const answered = responses.filter((r) => isAnswered(q, r.answers[q.id]));
+  const picked = layout.quotes === "selected" ? answered.filter((r) => r.quoted?.includes(q.id)) : [...answered].sort((a, b) => b.timestamp - a.timestamp);
+  return picked.slice(0, layout.quotesPerQuestion).map((r) => String(r.answers[q.id]));
+}
 
-              {q.type === "mcq" && (
-                <DistributionChart data={countStrings(byQuestion[q.id] || [], q.options || [])} />
-              )}
+/** Builds the report from what Results is currently showing (segment, version and question mapping applied). */
+function reportHTML({ survey, questions, responses, charts, reached, stats, numbers, segmentName, version }, layout) {
+  const total = responses.length;
+  const day = (ts) => new Date(ts).toLocaleDateString();
+  const first = responses.reduce((a, r) => Math.min(a, r.timestamp), Infinity);
+  const last = responses.reduce((a, r) => Math.max(a, r.timestamp), -Infinity);
+  const range = total ? `${day(first)} – ${day(last)}` : "No responses yet";
+  const scope = [segmentName && `Segment: ${segmentName}`, version && `v${version} only`].filter(Boolean).join(" · ");
+  const title = escapeHTML(survey.title || "Untitled survey");
+
+  const cover = `<section class="cover">
+  <h1>${title}</h1>
+  ${survey.description ? `<p class="lead">${escapeHTML(survey.description)}</p>` : ""}
+  <p class="range">${range}</p>
+  ${scope ? `<p class="muted">${escapeHTML(scope)}</p>` : ""}
+  <p class="muted">${total} response(s) · generated ${new Date().toLocaleString()}</p>
+</section>`;
+
+  const overview = `<section class="overview">
+  <h2>Overview</h2>
+  <div class="tiles">
+    ${[["Responses", total], ["Questions", Object.keys(numbers).length], ["Period", range], ["Flagged as spam", responses.filter((r) => r.flagged).length]]
+      .map(([k, v]) => `<div class="tile"><div class="value">${escapeHTML(v)}</div><div class="muted">${k}</div></div>`)
+      .join("")}
+  </div>
+</section>`;
+
+  const sections = questions.filter((q) => !isSection(q)).map((q) => {
+    const parts = [];
+    if (q.type === "text") {
+      const texts = responses.filter((r) => isAnswered(q, r.answers[q.id])).map((r) => String(r.answers[q.id]));
+      const mood = { positive: 0, neutral: 0, negative: 0 };
+      texts.forEach((t) => mood[sentimentLabel(sentiment(t))]++);
+      if (texts.length) parts.push(`<p class="muted">${texts.length} answer(s) · ${Object.entries(mood).map(([k, n]) => `${Math.round((n / texts.length) * 100)}% ${k}`).join(" · ")}</p>`);
+      if (layout.quotes !== "none") parts.push(...reportQuotes(q, responses, layout).map((t) => `<blockquote>${escapeHTML(t)}</blockquote>`));
+    } else {
+      const chart = layout.charts && charts[q.id];
+      const table = layout.stats && stats[q.id] ? statsTable(stats[q.id]) : "";
+      if (chart || table) parts.push(`<div class="question-body">${chart && chart.data.length ? `<div class="chart">${svgChart(chart)}</div>` : ""}${table}</div>`);
+    }
+    return `<section class="question">
+  <h3>Q${numbers[q.id]}. ${escapeHTML(q.prompt)}</h3>
+  <p class="muted">Reached ${reached[q.id] || 0}/${total}</p>
+  ${parts.join("\n  ")}
+</section>`;
+  });
 
-              {q.type === "rating" && (
-                <DistributionChart data={countNumbers(byQuestion[q.id] || [], q.max || 5)} />
-              )}
-            </CardContent>
-          </Card>
-        ))}
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${title} – report</title>
+<style>
+  @page { size: ${layout.paper} ${layout.orientation}; margin: 16mm; }
+  body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; color: #0f172a; margin: 0 auto; max-width: 900px; padding: 24px; }
+  h1 { font-size: 32px; margin: 0 0 12px; }
+  h2 { font-size: 20px; border-bottom: 1px solid #e2e8f0; padding-bottom: 4px; }
+  h3 { font-size: 15px; margin: 0 0 2px; }
+  .muted { color: #64748b; font-size: 12px; margin: 2px 0; }
+  .lead { font-size: 16px; color: #334155; }
+  .range { font-size: 18px; font-weight: 600; }
+  .cover { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; break-after: page; }
+  .tiles { display: grid; grid-template-columns: repeat(4, 1fr); gap: 8px; }
+  .tile { background: #f8fafc; border-radius: 8px; padding: 10px; }
+  .tile .value { font-size: 18px; font-weight: 600; }
+  .question { break-inside: avoid; margin: 24px 0; ${layout.pagePerQuestion ? "break-before: page;" : ""} }
+  .question-body { display: flex; gap: 16px; align-items: flex-start; margin-top: 8px; }
+  .chart { flex: 1; }
+  table.stats { border-collapse: collapse; font-size: 12px; min-width: 160px; }
+  table.stats th { text-align: left; font-weight: normal; color: #64748b; padding: 2px 12px 2px 0; }
+  table.stats td { text-align: right; font-weight: 600; }
+  blockquote { margin: 8px 0; padding: 6px 12px; border-left: 3px solid #94a3b8; background: #f8fafc; font-size: 13px; break-inside: avoid; }
+  @media print { body { padding: 0; max-width: none; } }
+</style>
+</head>
+<body>
+${layout.cover ? cover : `<h1>${title}</h1>`}
+${layout.overview ? overview : ""}
+${sections.join("\n")}
+</body>
+</html>`;
+}
 
-        <Card className="rounded-2xl">
-          <CardHeader>
-            <CardTitle>Payout History</CardTitle>
-          </CardHeader>
-          <CardContent>
-            {wallet.payouts.length === 0 ? (
-              <p className="text-sm text-slate-500">No payouts yet. Use the Cash out button once you have at least $100.</p>
-            ) : (
-              <ul className="text-sm space-y-2">
-                {wallet.payouts.map((p) => (
-                  <li key={p.id} className="flex justify-between">
-                    <span>#{p.id}</span>
-                    <span>${p.amount.toFixed(2)}</span>
-                    <span>{new Date(p.timestamp).toLocaleString()}</span>
-                  </li>
-                ))}
-              </ul>
-            )}
-          </CardContent>
-        </Card>
-      </div>
+function ReportBuilder({ report }) {
+  const [open, setOpen] = useState(false);
+  // The layout is a preference shared by every survey, so a weekly report comes out the same each time.
+  const [layout, setLayout] = useLocalStorage(`${LS_KEY}_report`, DEFAULT_REPORT, (saved) => ({ ...DEFAULT_REPORT, ...saved }));
+  const set = (patch) => setLayout((l) => ({ ...l, ...patch }));
+  const name = `${fileSlug(report.survey.title || "survey", report.segmentName, "report")}.html`;
+
+  const print = () => {
+    const win = window.open("", "_blank");
+    if (!win) return alert("Allow pop-ups for this page to print the report.");
+    win.document.write(reportHTML(report, layout));
+    win.document.close();
+    win.focus();
+    win.print();
+  };
+  const toggle = (key, label) => (
+    <div className="flex items-center justify-between">
+      <span>{label}</span>
+      <Switch checked={layout[key]} onCheckedChange={(v) => set({ [key]: v })} />
     </div>
   );
-}
+  const choice = (key, choices) => (
+    <Select value={String(layout[key])} onValueChange={(v) => set({ [key]: key === "quotesPerQuestion" ? Number(v) : v })}>
+      <SelectTrigger className="rounded-2xl"><SelectValue /></SelectTrigger>
+      <SelectContent>
+        {Object.entries(choices).map(([value, text]) => <SelectItem key={value} value={value}>{text}</SelectItem>)}
+      </SelectContent>
+    </Select>
+  );
 
-function DistributionChart({ data }) {
+  if (!open) return <Button variant="outline" onClick={() => setOpen(true)} className="w-full rounded-2xl">Generate report</Button>;
   return (
-    <div className="h-64 w-full">
-      <ResponsiveContainer width="100%" height="100%">
-        <RBarChart data={data}>
-          <XAxis dataKey="name" />
-          <YAxis allowDecimals={false} />
-          <Tooltip />
-          <Bar dataKey="count" />
-        </RBarChart>
-      </ResponsiveContainer>
+    <div className="space-y-2">
+      {toggle("cover", "Cover page")}
+      {toggle("overview", "Overview")}
+      {toggle("charts", "Charts")}
+      {toggle("stats", "Statistics")}
+      {toggle("pagePerQuestion", "One question per page")}
+      <Label className="text-xs text-slate-500">Verbatim text answers</Label>
+      {choice("quotes", { selected: "Starred in Results", latest: "Most recent", none: "None" })}
+      {layout.quotes !== "none" && choice("quotesPerQuestion", { 3: "Up to 3 per question", 5: "Up to 5 per question", 10: "Up to 10 per question" })}
+      <Label className="text-xs text-slate-500">Paper</Label>
+      <div className="grid grid-cols-2 gap-2">
+        {choice("paper", { A4: "A4", Letter: "US Letter" })}
+        {choice("orientation", { portrait: "Portrait", landscape: "Landscape" })}
+      </div>
+      <div className="flex gap-2 pt-1">
+        <Button onClick={print} className="flex-1 rounded-2xl">Print / PDF</Button>
+        <Button variant="outline" onClick={() => download(new Blob([reportHTML(report, layout)], { type: "text/html" }), name)} className="flex-1 rounded-2xl">HTML</Button>
+        <Button variant="ghost" onClick={() => setOpen(false)} className="rounded-2xl">Close</Button>
+      </div>
     </div>
   );
 }
 
-function countStrings(values, allOptions) {
-  const counts = new Map();
-  allOptions.forEach((o) => counts.set(o, 0));
-  values.forEach((v) => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
-  return [...counts.entries()].map(([name, count]) => ({ name, count }));
+// -------------------- Interchange formats --------------------
+// SurveyJS JSON, Qualtrics .qsf and Google Forms (Forms API JSON) questionnaires import as unpublished drafts, and
+// drafts export as SurveyJS JSON. Anything without an equivalent on the other side is listed in the import or export
+// report rather than silently dropped.
+/** @typedef {{ format: string; title: string; imported: number; skipped: string[]; notes: string[] }} ImportReport */
+/** @typedef {{ format: string; title: string; exported: number; skipped: string[]; notes: string[] }} ExportReport */
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', "#39": "'", nbsp: " " };
+
+/** Plain text from the HTML that Qualtrics and SurveyJS allow in titles. */
+function plainText(html) {
+  return String(html ?? "")
+    .replace(/<br\s*\/?>/gi, " ")
+    .replace(/<[^>]*>/g, "")
+    .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, (_, e) => ENTITIES[e])
+    .replace(/\s+/g, " ")
+    .trim();
 }
-function countNumbers(values, max) {
-  const counts = new Map();
-  for (let i = 1; i <= max; i++) counts.set(String(i), 0);
-  values.forEach((v) => counts.set(String(v), (counts.get(String(v)) || 0) + 1));
-  return [...counts.entries()].map(([name, count]) => ({ name, count }));
+
+const defined = (obj) => Object.fromEntries(Object.entries(obj).filter(([, v]) => v !== undefined));
+const numberOrUndefined = (x) => (x === undefined || x === null || x === "" ? undefined : Number(x));
+
+function detectFormat(raw) {
+  if (!isObject(raw) || raw.survey) return "native";
+  if (isObject(raw.SurveyEntry) && Array.isArray(raw.SurveyElements)) return "qsf";
+  if (isObject(raw.info) && Array.isArray(raw.items)) return "google";
+  if (Array.isArray(raw.pages) || Array.isArray(raw.elements)) return "surveyjs";
+  return "native"; // let readExport explain what's wrong
+}
+
+/** Collects questions and the report for one import. */
+function importer(format) {
+  const report = { format, title: "", imported: 0, skipped: [], notes: [] };
+  const questions = [];
+  return {
+    report,
+    questions,
+    add(type, prompt, patch = {}) {
+      const q = { ...newQuestion(type), prompt, ...patch };
+      questions.push(q);
+      if (type !== "section") report.imported++;
+      return q;
+    },
+    skip: (label, reason) => report.skipped.push(`${label}: ${reason}`),
+    note: (message) => report.notes.push(message),
+  };
+}
+
+const VISIBLE_IF_RE = /^\s*\{([^}]+)\}\s*(=|==|<>|!=|<|>|contains|notcontains)\s*(?:'([^']*)'|"([^"]*)"|(\S+))\s*$/;
+const VISIBLE_IF_OPS = { "=": "eq", "==": "eq", contains: "eq", "<>": "neq", "!=": "neq", notcontains: "neq", "<": "lt", ">": "gt" };
+
+function fromSurveyJS(raw) {
+  const imp = importer("SurveyJS");
+  // SurveyJS strings may be localized: { default: "…", de: "…" }.
+  const loc = (x) => plainText(isObject(x) ? x.default ?? Object.values(x)[0] : x);
+  const texts = (items = []) => items.map((c) => loc(isObject(c) ? c.text ?? c.value : c));
+  const ids = {}; // element name → question id, for visibleIf
+  const labels = {}; // element name → { stored value: option label }, since conditions compare values
+
+  const addElement = (el) => {
+    if (el.type === "panel") return (el.elements || []).forEach(addElement);
+    const label = `"${el.name || el.title}" (${el.type})`;
+    const prompt = loc(el.title) || el.name || "";
+    const patch = { required: !!el.isRequired, ...(el.description && { description: loc(el.description) }) };
+    const choices = () => [...texts(el.choices), ...(el.hasOther ? [loc(el.otherText) || "Other"] : [])];
+    let q;
+    switch (el.type) {
+      case "text": {
+        const type = { number: "number", date: "date" }[el.inputType] || "text";
+        q = imp.add(type, prompt, type === "number" ? { ...patch, min: numberOrUndefined(el.min), max: numberOrUndefined(el.max) } : patch);
+        if (el.inputType === "email") q.validation = { pattern: "email" };
+        else if (el.inputType && !["text", "number", "date"].includes(el.inputType)) imp.note(`${label}: input type "${el.inputType}" imported as plain text`);
+        break;
+      }
+      case "comment": q = imp.add("text", prompt, patch); break;
+      case "radiogroup": q = imp.add("mcq", prompt, { ...patch, options: choices() }); break;
+      case "checkbox":
+      case "tagbox": q = imp.add("multi", prompt, { ...patch, options: choices() }); break;
+      case "dropdown": q = imp.add("dropdown", prompt, { ...patch, options: choices() }); break;
+      case "boolean":
+        q = imp.add("mcq", prompt, { ...patch, options: [loc(el.labelTrue) || "Yes", loc(el.labelFalse) || "No"] });
+        labels[el.name] = { true: q.options[0], false: q.options[1] };
+        break;
+      case "rating": {
+        const min = el.rateMin ?? 1;
+        const max = el.rateMax ?? (el.rateCount ? min + el.rateCount - 1 : 5);
+        q = min === 0 && max === 10 ? imp.add("nps", prompt, patch) : min === 1 ? imp.add("rating", prompt, { ...patch, max }) : imp.add("number", prompt, { ...patch, min, max });
+        break;
+      }
+      case "matrix": q = imp.add("likert", prompt, { ...patch, rows: texts(el.rows), options: texts(el.columns) }); break;
+      case "html":
+      case "image":
+      case "expression": return imp.skip(label, "display-only element");
+      default: return imp.skip(label, "question type not supported");
+    }
+    if (el.hasOther) imp.note(`${label}: the "Other" free-text answer became a plain option`);
+    if (el.choicesOrder === "random") q.shuffleOptions = true;
+
+    const rules = { ...q.validation };
+    (el.validators || []).forEach((v) => {
+      if (v.type === "text") Object.assign(rules, defined({ minLength: v.minLength, maxLength: v.maxLength }));
+      else if (v.type === "email") rules.pattern = "email";
+      else if (v.type === "regex") Object.assign(rules, { pattern: "custom", regex: v.regex });
+      else if (v.type === "numeric") Object.assign(q, defined({ min: v.minValue, max: v.maxValue }));
+      else if (v.type === "answercount") Object.assign(rules, defined({ minSelect: v.minCount, maxSelect: v.maxCount }));
+      else return imp.note(`${label}: "${v.type}" validator not imported`);
+      if (v.text) rules.message = loc(v.text);
+    });
+    if (Object.keys(rules).length) q.validation = rules;
+
+    if (el.visibleIf) {
+      const m = String(el.visibleIf).match(VISIBLE_IF_RE);
+      const value = m && (m[3] ?? m[4] ?? m[5]);
+      if (m && ids[m[1]]) q.showIf = { questionId: ids[m[1]], op: VISIBLE_IF_OPS[m[2]], value: labels[m[1]]?.[value] ?? value };
+      else imp.note(`${label}: visibility rule "${el.visibleIf}" not imported`);
+    }
+    if (el.name) ids[el.name] = q.id;
+    if (el.choices) labels[el.name] = Object.fromEntries(el.choices.filter(isObject).map((c) => [c.value, loc(c.text ?? c.value)]));
+  };
+
+  const pages = raw.pages || [{ elements: raw.elements }];
+  pages.forEach((page, i) => {
+    const title = loc(page.title);
+    if (i > 0 || title) imp.add("section", title, { description: loc(page.description) });
+    (page.elements || page.questions || []).forEach(addElement);
+  });
+  // A "complete" trigger on a question's own answer is an end-survey rule on that question.
+  (raw.triggers || []).forEach((t) => {
+    const m = t.type === "complete" && String(t.expression).match(VISIBLE_IF_RE);
+    const q = m && imp.questions.find((x) => x.id === ids[m[1]]);
+    const value = m && (m[3] ?? m[4] ?? m[5]);
+    if (q) q.endIf = { op: VISIBLE_IF_OPS[m[2]], value: labels[m[1]]?.[value] ?? value };
+    else imp.note(`"${t.type}" trigger "${t.expression ?? ""}" not imported`);
+  });
+  const survey = {
+    title: loc(raw.title) || "Imported survey",
+    description: loc(raw.description),
+    questions: imp.questions,
+    ...(raw.questionsOrder === "random" && { randomize: { questions: true } }),
+  };
+  return { survey, report: imp.report };
+}
+
+function fromQualtrics(raw) {
+  const imp = importer("Qualtrics");
+  const payloads = {};
+  raw.SurveyElements.forEach((e) => e.Element === "SQ" && isObject(e.Payload) && (payloads[e.Payload.QuestionID || e.PrimaryAttribute] = e.Payload));
+  const ordered = (map, order) => (order || Object.keys(map || {})).map((k) => map?.[k]).filter(Boolean).map((c) => plainText(c.Display));
+  const blockData = raw.SurveyElements.find((e) => e.Element === "BL")?.Payload;
+  const blocks = Object.values(blockData || {}).filter((b) => isObject(b) && b.Type !== "Trash");
+  // Without block data, questions keep the order they appear in the file.
+  const layout = blocks.length ? blocks : [{ BlockElements: Object.keys(payloads).map((id) => ({ Type: "Question", QuestionID: id })) }];
+
+  const addQuestion = (p) => {
+    const label = `${p.DataExportTag || p.QuestionID} (${p.QuestionType}${p.Selector ? `/${p.Selector}` : ""})`;
+    const prompt = plainText(p.QuestionText) || p.DataExportTag || "";
+    const patch = { required: p.Validation?.Settings?.ForceResponse === "ON" };
+    let q;
+    switch (p.QuestionType) {
+      case "MC": {
+        const type = p.Selector === "NPS" ? "nps" : /^MA/.test(p.Selector) ? "multi" : ["DL", "SB"].includes(p.Selector) ? "dropdown" : "mcq";
+        q = imp.add(type, prompt, type === "nps" ? patch : { ...patch, options: ordered(p.Choices, p.ChoiceOrder) });
+        if (Object.values(p.Choices || {}).some((c) => c?.TextEntry)) imp.note(`${label}: text entry on a choice was not imported`);
+        break;
+      }
+      case "TE": {
+        if (p.Selector === "FORM") return imp.skip(label, "multi-field form entry isn't supported");
+        const content = p.Validation?.Settings?.ContentType || "";
+        const type = content === "ValidNumber" ? "number" : /Date/.test(content) ? "date" : "text";
+        q = imp.add(type, prompt, type === "number" ? { ...patch, min: undefined, max: undefined } : patch);
+        if (content === "ValidEmail") q.validation = { pattern: "email" };
+        else if (/Phone/.test(content)) q.validation = { pattern: "phone" };
+        break;
+      }
+      case "Matrix":
+        if (p.Selector !== "Likert" || p.SubSelector === "MultipleAnswer") return imp.skip(label, "only single-answer Likert matrices are supported");
+        q = imp.add("likert", prompt, { ...patch, rows: ordered(p.Choices, p.ChoiceOrder), options: ordered(p.Answers, p.AnswerOrder) });
+        break;
+      case "DB": return imp.skip(label, "descriptive text");
+      case "Timing":
+      case "Meta": return imp.skip(label, "hidden data-collection question");
+      default: return imp.skip(label, "question type not supported");
+    }
+    if (p.DisplayLogic) imp.note(`${label}: display logic was not imported`);
+    if (p.Randomization) q.shuffleOptions = true;
+  };
+
+  layout.forEach((block, i) => {
+    if (i > 0) imp.add("section", plainText(block.Description), {});
+    (block.BlockElements || []).forEach((el) => {
+      if (el.Type === "Page Break") imp.add("section", "", {});
+      else if (el.Type === "Question") payloads[el.QuestionID] ? addQuestion(payloads[el.QuestionID]) : imp.skip(el.QuestionID, "missing from the file");
+    });
+  });
+  if (raw.SurveyElements.some((e) => e.Element === "FL" && JSON.stringify(e.Payload || {}).includes("Branch"))) {
+    imp.note("Survey flow branches were not imported.");
+  }
+  const survey = { title: plainText(raw.SurveyEntry.SurveyName) || "Imported survey", description: plainText(raw.SurveyEntry.SurveyDescription), questions: imp.questions };
+  return { survey, report: imp.report };
+}
+
+function fromGoogleForms(raw) {
+  const imp = importer("Google Forms");
+  raw.items.forEach((item, i) => {
+    const label = `"${item.title || `Item ${i + 1}`}"`;
+    const prompt = item.title || "";
+    const describe = item.description ? { description: item.description } : {};
+    if (item.pageBreakItem) return imp.add("section", prompt, { description: item.description || "" });
+    if (item.questionGroupItem) {
+      const { questions = [], grid } = item.questionGroupItem;
+      if (grid?.columns?.type !== "RADIO") return imp.skip(label, "only single-choice grids are supported");
+      imp.add("likert", prompt, {
+        ...describe,
+        required: questions.some((q) => q.required),
+        rows: questions.map((q) => q.rowQuestion?.title || ""),
+        options: (grid.columns.options || []).map((o) => o.value),
+      });
+      return;
+    }
+    const question = item.questionItem?.question;
+    if (!question) return imp.skip(label, item.textItem ? "text block" : item.imageItem || item.videoItem ? "media" : "not a question");
+    const patch = { required: !!question.required, ...describe };
+    if (question.choiceQuestion) {
+      const { type, options = [], shuffle } = question.choiceQuestion;
+      imp.add({ CHECKBOX: "multi", DROP_DOWN: "dropdown" }[type] || "mcq", prompt, {
+        ...patch,
+        options: options.map((o) => (o.isOther ? "Other" : o.value)),
+        ...(shuffle && { shuffleOptions: true }),
+      });
+      if (options.some((o) => o.isOther)) imp.note(`${label}: the "Other" free-text answer became a plain option`);
+      if (options.some((o) => o.goToAction || o.goToSectionId)) imp.note(`${label}: section jumps were not imported`);
+    } else if (question.textQuestion) {
+      imp.add("text", prompt, patch);
+    } else if (question.scaleQuestion) {
+      // The API omits zero values, so a missing `low` means 0.
+      const { low = 0, high = 5 } = question.scaleQuestion;
+      if (low === 0 && high === 10) imp.add("nps", prompt, patch);
+      else if (low === 1) imp.add("rating", prompt, { ...patch, max: high });
+      else imp.add("number", prompt, { ...patch, min: low, max: high });
+    } else if (question.ratingQuestion) {
+      imp.add("rating", prompt, { ...patch, max: question.ratingQuestion.ratingScaleLevel || 5 });
+    } else if (question.dateQuestion) {
+      imp.add("date", prompt, patch);
+      if (question.dateQuestion.includeTime) imp.note(`${label}: the time part of the date was not imported`);
+    } else {
+      imp.skip(label, question.timeQuestion ? "time questions aren't supported" : question.fileUploadQuestion ? "file uploads aren't supported" : "question type not supported");
+    }
+  });
+  const survey = { title: raw.info.title || raw.info.documentTitle || "Imported form", description: raw.info.description || "", questions: imp.questions };
+  return { survey, report: imp.report };
+}
+
+const FOREIGN_IMPORTERS = { surveyjs: fromSurveyJS, qsf: fromQualtrics, google: fromGoogleForms };
+
+/**
+ * The draft as SurveyJS JSON: sections become pages, show-if rules become visibleIf expressions, end-survey rules
+ * become "complete" triggers and {{qN}} pipes become {QN}. What has no equivalent is listed in the report.
+ * @returns {{ json: object; report: ExportReport }}
+ */
+function toSurveyJS(survey) {
+  const report = { format: "SurveyJS", title: survey.title, exported: 0, skipped: [], notes: [] };
+  const numbers = questionNumbers(survey.questions);
+  const byId = Object.fromEntries(survey.questions.map((q) => [q.id, q]));
+  const name = (id) => `Q${numbers[id]}`;
+  // Element names are Q1, Q2… in the same numbering as pipes, so {{q3}} is {Q3}. {{q?}} has nothing to point at.
+  const piped = (text, where) =>
+    text &&
+    text.replace(PIPE_RE, (token, n) => {
+      if (n !== "?") return `{Q${n}}`;
+      report.notes.push(`${where}: "${token}" refers to a deleted question and was left as text`);
+      return token;
+    });
+  // SurveyJS strings can't escape quotes, so pick the quote the value doesn't use.
+  const literal = (value) => (!String(value).includes("'") ? `'${value}'` : !String(value).includes('"') ? `"${value}"` : undefined);
+  const expression = ({ questionId, op, value }) => {
+    const target = byId[questionId];
+    if (!target) return { problem: "it refers to a deleted question" };
+    if (op === "lt" || op === "gt") {
+      if (target.type === "multi") return { problem: `"${op === "lt" ? "less than" : "more than"}" on a checkbox question has no SurveyJS equivalent` };
+      if (!Number.isFinite(Number(value))) return { problem: `"${value}" isn't a number` };
+      return { expression: `{${name(questionId)}} ${op === "lt" ? "<" : ">"} ${Number(value)}` };
+    }
+    const quoted = literal(value);
+    if (quoted === undefined) return { problem: "its value contains both ' and \"" };
+    const operator = target.type === "multi" ? (op === "eq" ? "contains" : "notcontains") : op === "eq" ? "=" : "<>";
+    return { expression: `{${name(questionId)}} ${operator} ${quoted}` };
+  };
+  const triggers = [];
+  const element = (q) => {
+    const label = name(q.id);
+    report.exported++;
+    let visibleIf;
+    if (q.showIf) {
+      const rule = expression(q.showIf);
+      if (rule.expression) visibleIf = rule.expression;
+      else report.skipped.push(`${label}: show-if rule not exported, since ${rule.problem}`);
+    }
+    if (q.endIf) {
+      const rule = expression({ questionId: q.id, ...q.endIf });
+      if (rule.expression) triggers.push({ type: "complete", expression: rule.expression });
+      else report.skipped.push(`${label}: end-survey rule not exported, since ${rule.problem}`);
+    }
+    // Answers store the raw text, so a piped option keeps it as the value and shows the converted text.
+    const choices = (items) =>
+      items &&
+      items.map((o) => {
+        const text = piped(o, `${label} option "${o}"`);
+        return text === o ? o : { value: o, text };
+      });
+    const rules = q.validation || {};
+    const validators = [
+      (rules.minLength || rules.maxLength) && defined({ type: "text", minLength: rules.minLength, maxLength: rules.maxLength }),
+      rules.pattern === "email" && { type: "email" },
+      rules.pattern === "phone" && { type: "regex", regex: PATTERNS.phone.regex.source },
+      rules.pattern === "custom" && rules.regex && { type: "regex", regex: rules.regex },
+      (rules.minSelect || rules.maxSelect) && defined({ type: "answercount", minCount: rules.minSelect, maxCount: rules.maxSelect }),
+    ]
+      .filter(Boolean)
+      .map((v) => (rules.message ? { ...v, text: rules.message } : v));
+    const base = defined({
+      name: label,
+      title: piped(q.prompt, label),
+      description: piped(q.description, `${label} description`) || undefined,
+      isRequired: q.required || undefined,
+      visibleIf,
+      validators: validators.length ? validators : undefined,
+      choicesOrder: q.shuffleOptions ? "random" : undefined,
+    });
+    switch (q.type) {
+      case "mcq": return { type: "radiogroup", ...base, choices: choices(q.options) };
+      case "multi": return { type: "checkbox", ...base, choices: choices(q.options) };
+      case "dropdown": return { type: "dropdown", ...base, choices: choices(q.options) };
+      case "rating": return { type: "rating", ...base, rateMin: 1, rateMax: q.max || 5 };
+      case "nps": return { type: "rating", ...base, rateMin: 0, rateMax: 10 };
+      case "number": return { type: "text", inputType: "number", ...base, ...defined({ min: q.min, max: q.max }) };
+      case "date": return { type: "text", inputType: "date", ...base };
+      case "likert": return { type: "matrix", ...base, columns: choices(q.options), rows: choices(q.rows) };
+      default: return { type: "text", ...base };
+    }
+  };
+  const pages = paginate(survey.questions).map((page, i) =>
+    defined({
+      name: `page${i + 1}`,
+      title: piped(page.title, `Page ${i + 1} title`) || undefined,
+      description: piped(page.description, `Page ${i + 1} description`) || undefined,
+      elements: page.questions.map(element),
+    })
+  );
+  const json = defined({
+    title: survey.title,
+    description: survey.description || undefined,
+    questionsOrder: survey.randomize?.questions ? "random" : undefined,
+    pages,
+    triggers: triggers.length ? triggers : undefined,
+  });
+  return { json, report };
 }
 
 // -------------------- Export / Import --------------------
-function ExportImport({ survey, setStore }) {
+/** Per-question statistics over the latest questions, for exports; only questions that have stats are listed. */
+function summarize(survey, responses) {
+  const merged = remapAnswers(responses, survey.questionMap);
+  const numbers = questionNumbers((latestVersion(survey) || survey).questions);
+  return (latestVersion(survey) || survey).questions
+    .map((q) => ({ q, stats: questionStats(q, merged.map((r) => r.answers[q.id]).filter((v) => v !== undefined)) }))
+    .filter(({ stats }) => stats)
+    .map(({ q, stats }) => ({ question: `Q${numbers[q.id]}`, id: q.id, prompt: q.prompt, ...stats }));
+}
+
+/** @typedef {{ format: "csv"|"xlsx"; values: "labels"|"codes"; multi: "columns"|"joined"; timestamps: "iso"|"local"|"unix" }} DataExportOptions */
+/** @type {DataExportOptions} */
+const DEFAULT_DATA_EXPORT = { format: "csv", values: "labels", multi: "columns", timestamps: "iso" };
+const MULTI_SEPARATOR = ";"; // between values when checkbox answers share one column
+
+/**
+ * One row per response and one column per question (per option for split checkbox questions, per row for Likert),
+ * against the latest questions with mapped answers merged in. Codes are 1-based option positions; the codebook
+ * lists what each column and code means (a sheet in XLSX, a second file next to a coded CSV). Unanswered cells are
+ * empty.
+ */
+function responseTable(survey, responses, options) {
+  const questions = (latestVersion(survey) || survey).questions.filter((q) => !isSection(q));
+  const numbers = questionNumbers(questions);
+  const code = (q, label) => {
+    const i = (q.options || []).indexOf(label);
+    return options.values === "codes" && i >= 0 ? i + 1 : label;
+  };
+  const codes = (q) => (options.values === "codes" ? (q.options || []).map((o, i) => `${i + 1} = ${o}`).join("; ") : "");
+  const columns = [];
+  questions.forEach((q) => {
+    const key = `Q${numbers[q.id]}`;
+    const has = (a) => a[q.id] !== undefined;
+    if (q.type === "likert") {
+      (q.rows || []).forEach((row, i) =>
+        columns.push({ header: `${key}_${i + 1}`, label: `${q.prompt} – ${row}`, codes: codes(q), get: (a) => (a[q.id]?.[row] ? code(q, a[q.id][row]) : "") })
+      );
+    } else if (q.type === "multi" && options.multi === "columns") {
+      (q.options || []).forEach((o, i) =>
+        columns.push({ header: `${key}_${i + 1}`, label: `${q.prompt} – ${o}`, codes: "1 = selected; 0 = not selected", get: (a) => (has(a) ? Number(a[q.id].includes(o)) : "") })
+      );
+    } else if (q.type === "multi") {
+      columns.push({ header: key, label: q.prompt, codes: codes(q), get: (a) => (has(a) ? a[q.id].map((o) => code(q, o)).join(MULTI_SEPARATOR) : "") });
+    } else {
+      const choice = CHOICE_TYPES.includes(q.type);
+      columns.push({ header: key, label: q.prompt, codes: choice ? codes(q) : "", get: (a) => (has(a) ? (choice ? code(q, a[q.id]) : a[q.id]) : "") });
+    }
+  });
+
+  const fixed = ["response_id", "submitted_at", "version", "flagged"];
+  const rows = remapAnswers(responses, survey.questionMap).map((r) => [
+    r.id,
+    formatTimestamp(r.timestamp, options.timestamps),
+    r.version,
+    r.flagged ? 1 : 0,
+    ...columns.map((c) => c.get(r.answers)),
+  ]);
+  return {
+    rows: [[...fixed, ...columns.map((c) => c.header)], ...rows],
+    codebook: [["column", "question", "codes"], ...columns.map((c) => [c.header, c.label, c.codes])],
+  };
+}
+
+function download(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** What an import or export to another format left out (`dropped`) or changed (`notes`). */
+function ConversionReport({ heading, summary, dropped, report, onClose }) {
+  return (
+    <Card className="absolute right-0 top-12 z-10 w-80 rounded-2xl shadow-lg">
+      <CardContent className="p-4 space-y-2 text-sm">
+        <p className="font-medium">{heading}</p>
+        <p className="text-slate-500">{summary}</p>
+        {report.skipped.length > 0 && (
+          <div>
+            <Label className="text-xs text-slate-500">{dropped}</Label>
+            <ul className="list-disc pl-5 text-amber-700">{report.skipped.map((s, i) => <li key={i}>{s}</li>)}</ul>
+          </div>
+        )}
+        {report.notes.length > 0 && (
+          <div>
+            <Label className="text-xs text-slate-500">Check these</Label>
+            <ul className="list-disc pl-5 text-slate-600">{report.notes.map((n, i) => <li key={i}>{n}</li>)}</ul>
+          </div>
+        )}
+        <Button size="sm" variant="ghost" onClick={onClose} className="rounded-2xl">Close</Button>
+      </CardContent>
+    </Card>
+  );
+}
+
+/** `responses` is the active segment, so exports carry exactly what Results is showing. */
+function ExportImport({ survey, responses, segmentName, store, setStore }) {
   const [copied, setCopied] = useState(false);
+  const [fingerprint, setFingerprint] = useState(/** @type {string|null} */ (null));
+  const [showData, setShowData] = useState(false);
+  const [importReport, setImportReport] = useState(/** @type {ImportReport|null} */ (null));
+  const [exportReport, setExportReport] = useState(/** @type {ExportReport|null} */ (null));
+  const [merge, setMerge] = useState(/** @type {MergePlan|null} */ (null));
+  const [dataOptions, setDataOptions] = useState(DEFAULT_DATA_EXPORT);
 
   const exportJSON = () => {
     const blob = new Blob([
-      JSON.stringify({ survey, responses: [], wallet: { balance: 0, payouts: [] } }, null, 2)
+      JSON.stringify({ schemaVersion: SCHEMA_VERSION, survey, responses, summary: summarize(survey, responses), wallet: { balance: 0, payouts: [] } }, null, 2)
     ], { type: "application/json" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `${(survey.title || "survey").toLowerCase().replace(/\s+/g, "-")}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+    download(blob, `${fileSlug(survey.title || "survey", segmentName)}.json`);
+  };
+  const exportSurveyJS = () => {
+    const { json, report } = toSurveyJS(survey);
+    download(new Blob([JSON.stringify(json, null, 2)], { type: "application/json" }), `${fileSlug(survey.title || "survey")}.surveyjs.json`);
+    setExportReport(report.skipped.length || report.notes.length ? report : null);
   };
 
+  const exportData = () => {
+    const { rows, codebook } = responseTable(survey, responses, dataOptions);
+    const name = fileSlug(survey.title || "survey", segmentName, "responses");
+    if (dataOptions.format === "csv") {
+      download(new Blob([toCSV(rows)], { type: "text/csv;charset=utf-8" }), `${name}.csv`);
+      if (dataOptions.values === "codes") download(new Blob([toCSV(codebook)], { type: "text/csv;charset=utf-8" }), `${name}-codebook.csv`);
+    } else {
+      download(toXLSX([{ name: "Responses", rows }, { name: "Codebook", rows: codebook }]), `${name}.xlsx`);
+    }
+    setShowData(false);
+  };
+  const option = (key, label, choices) => (
+    <div className="grid gap-1">
+      <Label className="text-xs text-slate-500">{label}</Label>
+      <Select value={dataOptions[key]} onValueChange={(v) => setDataOptions((o) => ({ ...o, [key]: v }))}>
+        <SelectTrigger className="rounded-2xl"><SelectValue /></SelectTrigger>
+        <SelectContent>
+          {Object.entries(choices).map(([value, text]) => <SelectItem key={value} value={value}>{text}</SelectItem>)}
+        </SelectContent>
+      </Select>
+    </div>
+  );
+
+  useEffect(() => {
+    ownFingerprint().then(setFingerprint, () => {});
+  }, []);
+
   const copyLink = async () => {
     try {
-      await navigator.clipboard.writeText(window.location.href);
+      await navigator.clipboard.writeText(await createShareLink(survey));
+      setFingerprint(await ownFingerprint());
       setCopied(true);
       setTimeout(() => setCopied(false), 1200);
-    } catch {}
-  };
-
-  const importJSON = async () => {
-    try {
-      const input = document.createElement("input");
-      input.type = "file";
-      input.accept = "application/json";
-      input.onchange = async () => {
-        const file = input.files?.[0];
-        if (!file) return;
-        const text = await file.text();
-        const parsed = JSON.parse(text);
-        if (!parsed.survey) throw new Error("Invalid file");
-        setStore({ survey: parsed.survey, responses: parsed.responses || [], wallet: parsed.wallet || { balance: 0, payouts: [] } });
-      };
-      input.click();
     } catch (e) {
-      alert("Import failed. Ensure the JSON was exported from this app.");
+      alert(`Couldn't create a share link. ${e.message}`);
     }
   };
 
+  const importJSON = () => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,.qsf,application/json";
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        const raw = JSON.parse(await file.text());
+        const format = detectFormat(raw);
+        if (format === "native") {
+          const incoming = readExport(raw);
+          const plan = planMerge(store, incoming);
+          // Imports land in the library next to existing surveys instead of replacing them.
+          if (plan) setMerge(plan);
+          else setStore((s) => addToLibrary(s, incoming.survey, incoming.responses));
+          return;
+        }
+        const { survey, report } = FOREIGN_IMPORTERS[format](raw);
+        assertValid(questionListProblems(survey.questions, "questions"), "The converted survey");
+        // `versions: []` keeps it an unpublished draft, to be reviewed in the Builder first.
+        setStore((s) => addToLibrary(s, { ...survey, versions: [] }));
+        setImportReport({ ...report, title: survey.title });
+      } catch (e) {
+        alert(`Import failed. ${e instanceof SyntaxError ? "The file isn't valid JSON." : e.message}`);
+      }
+    };
+    input.click();
+  };
+  const applyMerge = () => {
+    const { surveyId, add } = merge;
+    setStore((s) => ({ ...s, responses: { ...s.responses, [surveyId]: [...(s.responses[surveyId] || []), ...add] }, activeId: surveyId }));
+    setMerge(null);
+  };
+  const importCopy = () => {
+    const { survey, responses } = merge.incoming;
+    setStore((s) => addToLibrary(s, { ...survey, title: `${survey.title} (imported)` }, responses));
+    setMerge(null);
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <Button variant="outline" onClick={exportJSON} className="rounded-2xl">Export</Button>
+      <div className="relative">
+        <Button variant="outline" onClick={() => setShowData(!showData)} className="rounded-2xl">Export data</Button>
+        {showData && (
+          <Card className="absolute right-0 top-12 z-10 w-72 rounded-2xl shadow-lg">
+            <CardContent className="p-4 space-y-3 text-sm">
+              {option("format", "Format", { csv: "CSV", xlsx: "Excel (XLSX, with codebook)" })}
+              {option("values", "Choice answers as", { labels: "Labels", codes: "Numeric codes" })}
+              {option("multi", "Checkbox answers", { columns: "One 0/1 column per option", joined: `One column, joined with "${MULTI_SEPARATOR}"` })}
+              {option("timestamps", "Timestamps", { iso: "ISO 8601 (UTC)", local: "Local date and time", unix: "Unix seconds" })}
+              <Button onClick={exportData} disabled={responses.length === 0} className="w-full rounded-2xl">
+                Download {responses.length} response(s)
+              </Button>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+      <div className="relative">
+        <Button variant="outline" onClick={exportSurveyJS} className="rounded-2xl">Export SurveyJS</Button>
+        {exportReport && (
+          <ConversionReport
+            heading={`Exported "${exportReport.title}" to ${exportReport.format}`}
+            summary={`${exportReport.exported} question(s) exported.`}
+            dropped="Not exported"
+            report={exportReport}
+            onClose={() => setExportReport(null)}
+          />
+        )}
+      </div>
+      <div className="relative">
+        <Button variant="outline" onClick={importJSON} className="rounded-2xl">Import</Button>
+        {merge && <MergePreview plan={merge} onMerge={applyMerge} onCopy={importCopy} onCancel={() => setMerge(null)} />}
+        {importReport && (
+          <ConversionReport
+            heading={`Imported "${importReport.title}" from ${importReport.format}`}
+            summary={`${importReport.imported} question(s) added as an unpublished draft.`}
+            dropped="Not imported"
+            report={importReport}
+            onClose={() => setImportReport(null)}
+          />
+        )}
+      </div>
+      <div className="flex items-center gap-2">
+        <Button variant="ghost" onClick={copyLink} className="rounded-2xl flex items-center gap-2">
+          {copied ? <Check className="h-4 w-4"/> : <Copy className="h-4 w-4"/>}
+          {copied ? "Copied" : "Copy share link"}
+        </Button>
+        {fingerprint && (
+          <span className="text-xs text-slate-500" title="Recipients see this key on the survey; tell them what to expect">
+            Your key <span className="font-mono">{fingerprint}</span>
+          </span>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// -------------------- Merging --------------------
+// An export of a survey that's already in the library (same id, e.g. collected on another laptop or from a share
+// link) can have its responses merged in. Nothing changes until the previewed plan is applied.
+/** @typedef {{ response: Response; reason: string }} MergeConflict */
+/** @typedef {{ surveyId: string; title: string; incoming: { survey: Survey; responses: Response[] }; add: Response[]; skipped: number; conflicts: MergeConflict[] }} MergePlan */
+
+/** JSON with object keys sorted, so equal content always serializes the same way. */
+function stableJSON(value) {
+  if (Array.isArray(value)) return `[${value.map(stableJSON).join(",")}]`;
+  if (isObject(value)) return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${stableJSON(value[k])}`).join(",")}}`;
+  return JSON.stringify(value) ?? "null";
+}
+
+// What a respondent submitted; analyst additions (themes, flags, notes, quotes) don't make a response different.
+const responseContent = (r) => stableJSON({ version: r.version, timestamp: r.timestamp, seed: r.seed, answers: r.answers });
+
+/** @returns {MergePlan|null} null when the library has no survey with the export's id. */
+function planMerge(store, incoming) {
+  const target = store.surveys.find((s) => s.id === incoming.survey.id);
+  if (!target) return null;
+  const existing = store.responses[target.id] || [];
+  const byId = new Map(existing.map((r) => [r.id, responseContent(r)]));
+  const contents = new Set(byId.values());
+  const versions = new Map(target.versions.map((v) => [v.version, stableJSON(v.questions)]));
+  const theirVersions = new Map(incoming.survey.versions.map((v) => [v.version, stableJSON(v.questions)]));
+  const plan = { surveyId: target.id, title: target.title, incoming, add: [], skipped: 0, conflicts: [] };
+
+  for (const r of incoming.responses) {
+    const content = responseContent(r);
+    if (byId.has(r.id)) {
+      if (byId.get(r.id) === content) plan.skipped++;
+      else plan.conflicts.push({ response: r, reason: `Response ${r.id} is already here with different answers.` });
+    } else if (contents.has(content)) {
+      plan.skipped++;
+    } else if (!versions.has(r.version)) {
+      plan.conflicts.push({ response: r, reason: `Response ${r.id} answers version ${r.version}, which isn't published here.` });
+    } else if (theirVersions.get(r.version) !== versions.get(r.version)) {
+      plan.conflicts.push({ response: r, reason: `Response ${r.id} answers a version ${r.version} whose questions differ from the one published here.` });
+    } else {
+      plan.add.push(r);
+      contents.add(content); // duplicates within the file count once
+    }
+  }
+  return plan;
+}
+
+function MergePreview({ plan, onMerge, onCopy, onCancel }) {
+  const shown = plan.conflicts.slice(0, 5);
   return (
-    <div className="flex items-center gap-2">
-      <Button variant="outline" onClick={exportJSON} className="rounded-2xl">Export</Button>
-      <Button variant="outline" onClick={importJSON} className="rounded-2xl">Import</Button>
-      <Button variant="ghost" onClick={copyLink} className="rounded-2xl flex items-center gap-2">
-        {copied ? <Check className="h-4 w-4"/> : <Copy className="h-4 w-4"/>}
-        {copied ? "Copied" : "Copy link"}
-      </Button>
-    </div>
+    <Card className="absolute right-0 top-12 z-10 w-96 rounded-2xl shadow-lg">
+      <CardContent className="p-4 space-y-2 text-sm">
+        <p className="font-medium">Merge responses into "{plan.title}"</p>
+        <ul className="space-y-1">
+          <li><span className="font-semibold">{plan.add.length}</span> new response(s) will be added</li>
+          <li><span className="font-semibold">{plan.skipped}</span> duplicate(s) will be skipped</li>
+          <li className={plan.conflicts.length ? "text-amber-700" : ""}><span className="font-semibold">{plan.conflicts.length}</span> conflict(s) will be left out</li>
+        </ul>
+        {shown.length > 0 && (
+          <ul className="list-disc pl-5 text-xs text-amber-700">
+            {shown.map((c) => <li key={c.response.id}>{c.reason}</li>)}
+            {plan.conflicts.length > shown.length && <li>…and {plan.conflicts.length - shown.length} more</li>}
+          </ul>
+        )}
+        <div className="flex flex-wrap gap-2 pt-1">
+          <Button size="sm" onClick={onMerge} disabled={plan.add.length === 0} className="rounded-2xl">Merge</Button>
+          <Button size="sm" variant="outline" onClick={onCopy} className="rounded-2xl">Import as a copy</Button>
+          <Button size="sm" variant="ghost" onClick={onCancel} className="rounded-2xl">Cancel</Button>
+        </div>
+      </CardContent>
+    </Card>
   );
 }
 <script type="module">
@@ -1867,41 +5719,46 @@ function ExportImport({ survey, setStore }) {
   </script>
 </body>
 </html>
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { fileSlug, formatTimestamp, toCSV, toXLSX } from "./export.js";
 
 /**
  * Survey Scorpio – single‑file demo app
  * Features:
  * - Email/password auth (client-side demo only; do NOT use in production)
- * - Create surveys (title, reward, questions: multiple choice or short text)
+ * - Create surveys (title, reward, questions: multiple choice, checkboxes, dropdown, short text, NPS, number, date, Likert grid)
  * - Take surveys, earn balance, prevent repeat submissions per survey
  * - Admin flag (first registered user becomes admin)
- * - LocalStorage persistence
+ * - IndexedDB persistence, one record per user/survey/response
  *
  * Notes:
  * - Replace the mock auth with real backend or Firebase for production.
- * - All data lives in localStorage under key "scorpio:v1".
+ * - All data lives in the "scorpio" IndexedDB database; older data under localStorage "scorpio:v1" is copied there.
  */
 
 export default function App() {
   const [route, setRoute] = useState("/auth");
-  const [store, setStore] = useLocalStorage();
-  const currentUser = store.users[store.session?.uid || ""] || null;
+  const [store, setStore, storage] = useIndexedStore();
+  const currentUser = (store && store.users[store.session?.uid || ""]) || null;
+  const loaded = store !== null;
 
   useEffect(() => {
     if (currentUser) setRoute("/dashboard");
-  }, []);
+  }, [loaded]);
 
   function signOut() {
     setStore((s) => ({ ...s, session: null }));
     setRoute("/auth");
   }
 
+  if (!store) return <div className="min-h-screen grid place-content-center text-sm text-gray-500">Loading…</div>;
+
   return (
     <div className="min-h-screen bg-gray-50 text-gray-900">
       <Header currentUser={currentUser} onSignOut={signOut} />
 
       <main className="max-w-6xl mx-auto p-4 grid gap-4">
+        <StorageNotice status={storage} />
         {!currentUser && <Auth onAuthed={() => setRoute("/dashboard")} />}
 
         {currentUser && route === "/dashboard" && (
@@ -1922,6 +5779,15 @@ export default function App() {
           />
         )}
 
+        {currentUser && route.startsWith("/responses/") && (
+          <SurveyResponses
+            store={store}
+            setStore={setStore}
+            onBack={() => setRoute("/dashboard")}
+            surveyId={route.split("/").pop()!}
+          />
+        )}
+
         {currentUser && route.startsWith("/take/") && (
           <TakeSurvey
             store={store}
@@ -1969,14 +5835,14 @@ function Header({ currentUser, onSignOut }: { currentUser: User | null; onSignOu
 function Footer() {
   return (
     <footer className="mt-10 py-10 text-center text-xs text-gray-500">
-      Demo only – replace localStorage and mock auth with a real backend.
+      Demo only – replace browser storage and mock auth with a real backend.
     </footer>
   );
 }
 
 // ------------------- Auth -------------------
 function Auth({ onAuthed }: { onAuthed: () => void }) {
-  const { setStore } = useLocalStorageCtx();
+  const { setStore } = useStoreCtx();
   const [mode, setMode] = useState<"signin" | "signup">("signup");
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
@@ -2050,6 +5916,32 @@ function Dashboard({ store, setStore, currentUser, goto }: { store: Store; setSt
 
   const available = surveys.filter((s) => !myTaken[s.id]);
   const completed = surveys.filter((s) => !!myTaken[s.id]);
+  const mine = surveys.filter((s) => s.creatorUid === currentUser.uid);
+  const responseCount = (id: string) => Object.values(store.responses).filter((r) => r.surveyId === id).length;
+
+  function importSurvey() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json";
+    input.onchange = async () => {
+      const file = input.files?.[0];
+      if (!file) return;
+      try {
+        const { survey, responses, notes } = fromLegacyExport(JSON.parse(await file.text()), currentUser.uid);
+        const reward = parseFloat(prompt(`Reward per response for "${survey.title}" ($)`, "1") || "");
+        if (!Number.isFinite(reward)) return;
+        setStore((s) => ({
+          ...s,
+          surveys: { ...s.surveys, [survey.id]: { ...survey, reward } },
+          responses: { ...s.responses, ...Object.fromEntries(responses.map((r) => [r.id, r])) },
+        }));
+        alert(`Imported "${survey.title}" with ${responses.length} response(s).${notes.length ? `\n\nCheck these:\n${notes.map((n) => `• ${n}`).join("\n")}` : ""}`);
+      } catch (e) {
+        alert(`Import failed. ${e instanceof SyntaxError ? "The file isn't valid JSON." : (e as Error).message}`);
+      }
+    };
+    input.click();
+  }
 
   return (
     <div className="grid lg:grid-cols-3 gap-4">
@@ -2084,9 +5976,22 @@ function Dashboard({ store, setStore, currentUser, goto }: { store: Store; setSt
           <Card>
             <h3 className="font-semibold mb-2">Admin</h3>
             <p className="text-sm text-gray-600 mb-3">Create and publish surveys. You are an admin because you were the first to register.</p>
-            <button className="bg-indigo-600 text-white rounded-xl px-4 py-2" onClick={() => goto("/create")}>
-              New Survey
-            </button>
+            <div className="flex flex-wrap gap-2">
+              <button className="bg-indigo-600 text-white rounded-xl px-4 py-2" onClick={() => goto("/create")}>
+                New Survey
+              </button>
+              <button className="bg-gray-100 rounded-xl px-4 py-2" onClick={importSurvey}>Import survey</button>
+            </div>
+          </Card>
+        )}
+        {mine.length > 0 && (
+          <Card>
+            <h3 className="font-semibold mb-2">Your surveys</h3>
+            <div className="grid gap-2">
+              {mine.map((s) => (
+                <SurveyRow key={s.id} s={s} action={() => goto(`/responses/${s.id}`)} label={`Responses (${responseCount(s.id)})`} />
+              ))}
+            </div>
           </Card>
         )}
       </div>
@@ -2139,12 +6044,46 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
   const [title, setTitle] = useState("");
   const [reward, setReward] = useState(1);
   const [qs, setQs] = useState<QuestionDraft[]>([]);
+  const templates = [...BUILT_IN_TEMPLATES, ...Object.values(store.templates || {}).filter((t) => t.creatorUid === currentUser.uid)];
+  const bank = Object.values(store.bank || {}).filter((b) => b.creatorUid === currentUser.uid);
+
+  function applyTemplate(id: string) {
+    const t = templates.find((it) => it.id === id);
+    if (!t || (qs.length > 0 && !confirm("Replace the current questions with this template?"))) return;
+    setTitle(t.title);
+    setQs(t.questions.map((q) => ({ ...q, id: rid() })));
+  }
+
+  function saveTemplate() {
+    if (qs.length === 0) return alert("Add at least one question first");
+    const name = prompt("Template name", title);
+    if (!name) return;
+    const t: Template = { id: rid(), name, title, questions: qs, creatorUid: currentUser.uid };
+    setStore((s) => ({ ...s, templates: { ...(s.templates || {}), [t.id]: t } }));
+  }
+
+  function saveToBank(q: QuestionDraft) {
+    const item: BankItem = { ...q, id: rid(), creatorUid: currentUser.uid };
+    setStore((s) => ({ ...s, bank: { ...(s.bank || {}), [item.id]: item } }));
+  }
+
+  function insertFromBank(id: string) {
+    const item = bank.find((b) => b.id === id);
+    if (!item) return;
+    const { creatorUid: _, ...q } = item;
+    setQs((old) => [...old, { ...q, id: rid() }]);
+  }
 
   function addQuestion(type: QuestionType) {
-    setQs((q) => [
-      ...q,
-      { id: rid(), type, prompt: "", options: type === "mc" ? ["Option A", "Option B"] : undefined },
-    ]);
+    const draft: QuestionDraft = { id: rid(), type, prompt: "" };
+    if (CHOICE_TYPES.includes(type)) draft.options = ["Option A", "Option B"];
+    if (type === "number") Object.assign(draft, { min: 0, max: 100 });
+    if (type === "likert") Object.assign(draft, { rows: ["Statement 1", "Statement 2"], options: LIKERT_SCALE });
+    setQs((q) => [...q, draft]);
+  }
+
+  function patchQ(id: string, patch: Partial<QuestionDraft>) {
+    setQs((old) => old.map((it) => (it.id === id ? { ...it, ...patch } : it)));
   }
 
   function publish() {
@@ -2153,7 +6092,7 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
       id: rid(),
       title,
       reward: Number(reward) || 0,
-      questions: qs.map((q, i) => ({ id: q.id, type: q.type, prompt: q.prompt || `Question ${i + 1}`, options: q.options })),
+      questions: qs.map((q, i) => ({ ...q, prompt: q.prompt || `Question ${i + 1}` })),
       createdAt: Date.now(),
       creatorUid: currentUser.uid,
     };
@@ -2167,6 +6106,13 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
       <Card>
         <h2 className="text-lg font-semibold mb-3">New Survey</h2>
         <div className="grid gap-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <select className="border rounded-xl px-3 py-2" value="" onChange={(e) => applyTemplate(e.target.value)}>
+              <option value="">Start from a template…</option>
+              {templates.map((t) => <option key={t.id} value={t.id}>{t.name}{t.builtIn ? "" : " (yours)"}</option>)}
+            </select>
+            <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={saveTemplate}>Save as template</button>
+          </div>
           <label className="grid gap-1">
             <span className="text-sm">Title</span>
             <input className="border rounded-xl px-3 py-2" value={title} onChange={(e) => setTitle(e.target.value)} placeholder="e.g., Customer Satisfaction – July" />
@@ -2177,9 +6123,16 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
           </label>
 
           <div className="grid gap-2">
-            <div className="flex gap-2">
-              <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => addQuestion("mc")}>+ Multiple choice</button>
-              <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => addQuestion("text")}>+ Short text</button>
+            <div className="flex flex-wrap gap-2">
+              {(Object.keys(QUESTION_TYPE_LABELS) as QuestionType[]).map((t) => (
+                <button key={t} className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => addQuestion(t)}>+ {QUESTION_TYPE_LABELS[t]}</button>
+              ))}
+              {bank.length > 0 && (
+                <select className="border rounded-xl px-3 py-1.5" value="" onChange={(e) => insertFromBank(e.target.value)}>
+                  <option value="">+ From question bank…</option>
+                  {bank.map((b) => <option key={b.id} value={b.id}>{QUESTION_TYPE_LABELS[b.type]} · {b.prompt}</option>)}
+                </select>
+              )}
             </div>
             {qs.length === 0 && <div className="text-sm text-gray-500">Add your first question</div>}
             {qs.map((q, idx) => (
@@ -2188,27 +6141,39 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
                 <input
                   className="border rounded-xl px-3 py-2 w-full mb-2"
                   value={q.prompt}
-                  onChange={(e) => setQs((old) => old.map((it) => (it.id === q.id ? { ...it, prompt: e.target.value } : it)))}
-                  placeholder={q.type === "mc" ? "e.g., Which feature do you like?" : "e.g., Any suggestions?"}
+                  onChange={(e) => patchQ(q.id, { prompt: e.target.value })}
+                  placeholder={q.type === "text" ? "e.g., Any suggestions?" : q.type === "nps" ? "e.g., How likely are you to recommend us?" : "e.g., Which feature do you like?"}
                 />
-                {q.type === "mc" && (
-                  <div className="grid gap-2">
-                    {(q.options || []).map((op, i) => (
-                      <input
-                        key={i}
-                        className="border rounded-xl px-3 py-2"
-                        value={op}
-                        onChange={(e) => setQs((old) => old.map((it) => it.id === q.id ? { ...it, options: (it.options || []).map((oo, ii) => ii === i ? e.target.value : oo) } : it))}
-                      />)
-                    )}
-                    <button className="text-sm text-indigo-600 text-left" onClick={() => setQs((old) => old.map((it) => it.id === q.id ? { ...it, options: [...(it.options || []), `Option ${(it.options || []).length + 1}`] } : it))}>
-                      + Add option
-                    </button>
+                {(CHOICE_TYPES.includes(q.type) || q.type === "likert") && (
+                  <LineListEditor
+                    label={q.type === "likert" ? "Columns" : undefined}
+                    item={q.type === "likert" ? "Level" : "Option"}
+                    values={q.options || []}
+                    onChange={(options) => patchQ(q.id, { options })}
+                  />
+                )}
+                {q.type === "likert" && (
+                  <div className="mt-2">
+                    <LineListEditor label="Rows" item="Statement" values={q.rows || []} onChange={(rows) => patchQ(q.id, { rows })} />
+                  </div>
+                )}
+                <RuleFields q={q} onChange={(validation) => patchQ(q.id, { validation })} />
+                {q.type === "number" && (
+                  <div className="flex gap-2">
+                    <label className="grid gap-1">
+                      <span className="text-xs text-gray-500">Min</span>
+                      <input className="border rounded-xl px-3 py-2 w-28" type="number" value={q.min ?? ""} onChange={(e) => patchQ(q.id, { min: e.target.value === "" ? undefined : Number(e.target.value) })} />
+                    </label>
+                    <label className="grid gap-1">
+                      <span className="text-xs text-gray-500">Max</span>
+                      <input className="border rounded-xl px-3 py-2 w-28" type="number" value={q.max ?? ""} onChange={(e) => patchQ(q.id, { max: e.target.value === "" ? undefined : Number(e.target.value) })} />
+                    </label>
                   </div>
                 )}
                 <div className="mt-2 flex gap-2">
                   <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => setQs((old) => old.filter((it) => it.id !== q.id))}>Delete</button>
-                  <span className="text-xs text-gray-500 self-center">Type: {q.type === "mc" ? "Multiple choice" : "Short text"}</span>
+                  <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => saveToBank(q)}>Save to bank</button>
+                  <span className="text-xs text-gray-500 self-center">Type: {QUESTION_TYPE_LABELS[q.type]}</span>
                 </div>
               </div>
             ))}
@@ -2224,10 +6189,255 @@ function CreateSurvey({ store, setStore, onBack, currentUser }: { store: Store;
   );
 }
 
+function RuleFields({ q, onChange }: { q: QuestionDraft; onChange: (rules: Rules) => void }) {
+  const rules = q.validation || {};
+  const num = (v: string) => (v === "" ? undefined : Math.max(0, Number(v)));
+  if (q.type !== "text" && q.type !== "multi" && q.type !== "number") return null;
+  return (
+    <div className="mt-2 grid gap-2 p-2 rounded-xl bg-gray-50">
+      <span className="text-xs text-gray-500">Validation{q.type === "number" ? " (answers must fall within Min/Max below)" : ""}</span>
+      {q.type === "text" && (
+        <div className="flex flex-wrap gap-2">
+          <input className="border rounded-xl px-3 py-2 w-28" type="number" placeholder="Min length" value={rules.minLength ?? ""} onChange={(e) => onChange({ ...rules, minLength: num(e.target.value) })} />
+          <input className="border rounded-xl px-3 py-2 w-28" type="number" placeholder="Max length" value={rules.maxLength ?? ""} onChange={(e) => onChange({ ...rules, maxLength: num(e.target.value) })} />
+          <select className="border rounded-xl px-3 py-2" value={rules.pattern || ""} onChange={(e) => onChange({ ...rules, pattern: (e.target.value || undefined) as Rules["pattern"] })}>
+            <option value="">Any text</option>
+            <option value="email">Email address</option>
+            <option value="phone">Phone number</option>
+            <option value="custom">Custom regex</option>
+          </select>
+          {rules.pattern === "custom" && (
+            <input className="border rounded-xl px-3 py-2 font-mono" placeholder="^[A-Z]{3}-\d+$" value={rules.regex || ""} onChange={(e) => onChange({ ...rules, regex: e.target.value })} />
+          )}
+        </div>
+      )}
+      {q.type === "multi" && (
+        <div className="flex flex-wrap gap-2">
+          <input className="border rounded-xl px-3 py-2 w-36" type="number" placeholder="Min selections" value={rules.minSelect ?? ""} onChange={(e) => onChange({ ...rules, minSelect: num(e.target.value) })} />
+          <input className="border rounded-xl px-3 py-2 w-36" type="number" placeholder="Max selections" value={rules.maxSelect ?? ""} onChange={(e) => onChange({ ...rules, maxSelect: num(e.target.value) })} />
+        </div>
+      )}
+      <input className="border rounded-xl px-3 py-2" placeholder="Custom error message (optional)" value={rules.message || ""} onChange={(e) => onChange({ ...rules, message: e.target.value || undefined })} />
+    </div>
+  );
+}
+
+function LineListEditor({ label, item, values, onChange }: { label?: string; item: string; values: string[]; onChange: (values: string[]) => void }) {
+  return (
+    <div className="grid gap-2">
+      {label && <span className="text-sm">{label}</span>}
+      {values.map((v, i) => (
+        <input key={i} className="border rounded-xl px-3 py-2" value={v} onChange={(e) => onChange(values.map((vv, ii) => (ii === i ? e.target.value : vv)))} />
+      ))}
+      <button className="text-sm text-indigo-600 text-left" onClick={() => onChange([...values, `${item} ${values.length + 1}`])}>
+        + Add {item.toLowerCase()}
+      </button>
+    </div>
+  );
+}
+
+// ------------------- Survey Responses -------------------
+const RESPONSES_PER_PAGE = 10;
+
+type ExportOptions = { format: "csv" | "xlsx"; values: "labels" | "codes"; multi: "columns" | "joined"; timestamps: "iso" | "local" | "unix"; uids: boolean };
+
+// One row per response, one column per question (per option for split checkboxes, per row for Likert).
+// Codes are 1-based option positions, and the codebook says what each column and code means; respondent uids are
+// only included when asked for.
+function exportRows(survey: Survey, responses: Response[], options: ExportOptions): { rows: (string | number)[][]; codebook: string[][] } {
+  const code = (q: Question, label: string) => {
+    const i = (q.options || []).indexOf(label);
+    return options.values === "codes" && i >= 0 ? i + 1 : label;
+  };
+  const codes = (q: Question) => (options.values === "codes" ? (q.options || []).map((o, i) => `${i + 1} = ${o}`).join("; ") : "");
+  const columns: { header: string; label: string; codes: string; get: (a: Record<string, Answer>) => string | number }[] = [];
+  survey.questions.forEach((q, n) => {
+    const key = `Q${n + 1}`;
+    if (q.type === "likert") {
+      (q.rows || []).forEach((row, i) =>
+        columns.push({ header: `${key}_${i + 1}`, label: `${q.prompt} – ${row}`, codes: codes(q), get: (a) => { const v = (a[q.id] as Record<string, string> | undefined)?.[row]; return v ? code(q, v) : ""; } })
+      );
+    } else if (q.type === "multi" && options.multi === "columns") {
+      (q.options || []).forEach((o, i) =>
+        columns.push({ header: `${key}_${i + 1}`, label: `${q.prompt} – ${o}`, codes: "1 = selected; 0 = not selected", get: (a) => (a[q.id] ? Number((a[q.id] as string[]).includes(o)) : "") })
+      );
+    } else {
+      columns.push({
+        header: key,
+        label: q.prompt,
+        codes: CHOICE_TYPES.includes(q.type) ? codes(q) : "",
+        get: (a) => {
+          const v = a[q.id];
+          if (v === undefined) return "";
+          if (Array.isArray(v)) return v.map((o) => code(q, o)).join(";");
+          return CHOICE_TYPES.includes(q.type) ? code(q, v as string) : (v as string);
+        },
+      });
+    }
+  });
+  const header = ["response_id", ...(options.uids ? ["uid"] : []), "submitted_at", "flagged", ...columns.map((c) => c.header)];
+  return {
+    rows: [
+      header,
+      ...responses.map((r) => [r.id, ...(options.uids ? [r.uid] : []), formatTimestamp(r.createdAt, options.timestamps), r.flagged ? 1 : 0, ...columns.map((c) => c.get(r.answers))]),
+    ],
+    codebook: [["column", "question", "codes"], ...columns.map((c) => [c.header, c.label, c.codes])],
+  };
+}
+
+function saveFile(blob: Blob, filename: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function ExportPanel({ survey, responses }: { survey: Survey; responses: Response[] }) {
+  const [options, setOptions] = useState<ExportOptions>({ format: "csv", values: "labels", multi: "columns", timestamps: "iso", uids: false });
+  const set = (patch: Partial<ExportOptions>) => setOptions((o) => ({ ...o, ...patch }));
+
+  function download() {
+    const { rows, codebook } = exportRows(survey, responses, options);
+    const name = fileSlug(survey.title || "survey", "responses");
+    if (options.format === "xlsx") {
+      saveFile(toXLSX([{ name: "Responses", rows }, { name: "Codebook", rows: codebook }]), `${name}.xlsx`);
+      return;
+    }
+    const csv = (table: (string | number)[][]) => new Blob([toCSV(table)], { type: "text/csv;charset=utf-8" });
+    saveFile(csv(rows), `${name}.csv`);
+    // Codes mean nothing without their labels, so a coded CSV comes with its codebook.
+    if (options.values === "codes") saveFile(csv(codebook), `${name}-codebook.csv`);
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 mb-3 p-2 rounded-xl bg-gray-50 text-sm">
+      <select className="border rounded-xl px-2 py-1" value={options.format} onChange={(e) => set({ format: e.target.value as ExportOptions["format"] })}>
+        <option value="csv">CSV</option>
+        <option value="xlsx">Excel (XLSX, with codebook)</option>
+      </select>
+      <select className="border rounded-xl px-2 py-1" value={options.values} onChange={(e) => set({ values: e.target.value as ExportOptions["values"] })}>
+        <option value="labels">Choice labels</option>
+        <option value="codes">Numeric codes</option>
+      </select>
+      <select className="border rounded-xl px-2 py-1" value={options.multi} onChange={(e) => set({ multi: e.target.value as ExportOptions["multi"] })}>
+        <option value="columns">Checkboxes: 0/1 per option</option>
+        <option value="joined">Checkboxes: one column, ";"-joined</option>
+      </select>
+      <select className="border rounded-xl px-2 py-1" value={options.timestamps} onChange={(e) => set({ timestamps: e.target.value as ExportOptions["timestamps"] })}>
+        <option value="iso">ISO 8601 (UTC)</option>
+        <option value="local">Local time</option>
+        <option value="unix">Unix seconds</option>
+      </select>
+      <label className="flex items-center gap-1">
+        <input type="checkbox" checked={options.uids} onChange={(e) => set({ uids: e.target.checked })} />
+        Include respondent uid
+      </label>
+      <button className="px-3 py-1.5 rounded-xl bg-indigo-600 text-white disabled:opacity-50" disabled={responses.length === 0} onClick={download}>Download</button>
+    </div>
+  );
+}
+
+function SurveyResponses({ store, setStore, onBack, surveyId }: { store: Store; setStore: SetStore; onBack: () => void; surveyId: string }) {
+  const survey = store.surveys[surveyId];
+  const [page, setPage] = useState(0);
+  const [openId, setOpenId] = useState<string | null>(null);
+  const responses = Object.values(store.responses)
+    .filter((r) => r.surveyId === surveyId)
+    .sort((a, b) => b.createdAt - a.createdAt);
+
+  if (!survey) return (
+    <div className="max-w-3xl mx-auto">
+      <button onClick={onBack} className="text-sm text-gray-600 mb-3">← Back</button>
+      <Card>
+        <div>Survey not found.</div>
+      </Card>
+    </div>
+  );
+
+  const pages = Math.max(1, Math.ceil(responses.length / RESPONSES_PER_PAGE));
+  const current = Math.min(page, pages - 1);
+  const rows = responses.slice(current * RESPONSES_PER_PAGE, (current + 1) * RESPONSES_PER_PAGE);
+
+  function patch(id: string, changes: Partial<Response>) {
+    setStore((s) => ({ ...s, responses: { ...s.responses, [id]: { ...s.responses[id], ...changes } } }));
+  }
+
+  function remove(id: string) {
+    if (!confirm("Delete this response? The respondent keeps the reward they were paid.")) return;
+    setStore((s) => {
+      const { [id]: _, ...responses } = s.responses;
+      return { ...s, responses };
+    });
+  }
+
+  return (
+    <div className="max-w-3xl mx-auto">
+      <button onClick={onBack} className="text-sm text-gray-600 mb-3">← Back</button>
+      <Card>
+        <div className="flex items-center justify-between mb-3">
+          <h2 className="text-lg font-semibold">{survey.title}</h2>
+          <span className="text-sm text-gray-500">{responses.length} response(s)</span>
+        </div>
+        <ExportPanel survey={survey} responses={responses} />
+        <div className="grid gap-2">
+          {responses.length === 0 && <Empty title="No responses yet" />}
+          {rows.map((r) => {
+            const open = openId === r.id;
+            const respondent = store.users[r.uid]?.email || r.uid;
+            return (
+              <div key={r.id} className={`border rounded-xl ${r.flagged ? "border-red-200 bg-red-50" : ""}`}>
+                <button className="w-full p-3 flex items-center justify-between text-left" onClick={() => setOpenId(open ? null : r.id)}>
+                  <span>
+                    <span className="font-medium">{respondent}</span>
+                    <span className="text-xs text-gray-500 ml-2">{new Date(r.createdAt).toLocaleString()}</span>
+                  </span>
+                  <span className="text-xs text-gray-500">
+                    {r.flagged && <span className="text-red-600 mr-2">Spam</span>}
+                    {r.note && <span className="text-amber-700 mr-2">Note</span>}
+                    {open ? "Hide" : "Open"}
+                  </span>
+                </button>
+                {open && (
+                  <div className="border-t p-3 grid gap-3">
+                    {survey.questions.map((q, i) => (
+                      <div key={q.id}>
+                        <div className="text-xs text-gray-500">{i + 1}. {q.prompt}</div>
+                        <div>{formatAnswer(r.answers[q.id])}</div>
+                      </div>
+                    ))}
+                    <label className="grid gap-1">
+                      <span className="text-xs text-gray-500">Internal note</span>
+                      <textarea className="border rounded-xl px-3 py-2" defaultValue={r.note || ""} onBlur={(e) => e.target.value !== (r.note || "") && patch(r.id, { note: e.target.value || undefined })} />
+                    </label>
+                    <div className="flex gap-2">
+                      <button className="px-3 py-1.5 rounded-xl bg-gray-100" onClick={() => patch(r.id, { flagged: !r.flagged })}>{r.flagged ? "Not spam" : "Flag as spam"}</button>
+                      <button className="px-3 py-1.5 rounded-xl bg-red-600 text-white" onClick={() => remove(r.id)}>Delete</button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+        {pages > 1 && (
+          <div className="flex items-center justify-between mt-3 text-sm">
+            <button className="px-3 py-1.5 rounded-xl bg-gray-100 disabled:opacity-50" disabled={current === 0} onClick={() => setPage(current - 1)}>Previous</button>
+            <span className="text-gray-500">Page {current + 1} of {pages}</span>
+            <button className="px-3 py-1.5 rounded-xl bg-gray-100 disabled:opacity-50" disabled={current >= pages - 1} onClick={() => setPage(current + 1)}>Next</button>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+}
+
 // ------------------- Take Survey -------------------
 function TakeSurvey({ store, setStore, onBack, surveyId, currentUser }: { store: Store; setStore: SetStore; onBack: () => void; surveyId: string; currentUser: User }) {
   const survey = store.surveys[surveyId];
-  const [answers, setAnswers] = useState<Record<string, string>>({});
+  const [answers, setAnswers] = useState<Record<string, Answer>>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
 
   if (!survey) return (
     <div className="max-w-2xl mx-auto">
@@ -2239,9 +6449,13 @@ function TakeSurvey({ store, setStore, onBack, surveyId, currentUser }: { store:
   );
 
   function submit() {
+    const found: Record<string, string> = {};
     for (const q of survey.questions) {
-      if (!answers[q.id] || answers[q.id].trim() === "") return alert("Please answer all questions");
+      const error = checkAnswer(q, answers[q.id]);
+      if (error) found[q.id] = error;
     }
+    setErrors(found);
+    if (Object.keys(found).length > 0) return;
     setStore((s) => {
       const users = { ...s.users };
       const u = { ...users[currentUser.uid] };
@@ -2265,33 +6479,14 @@ function TakeSurvey({ store, setStore, onBack, surveyId, currentUser }: { store:
         <div className="mb-2 text-xs text-gray-500">Reward: ${survey.reward.toFixed(2)}</div>
         <h2 className="text-xl font-semibold mb-4">{survey.title}</h2>
         <div className="grid gap-4">
-          {survey.questions.map((q, i) => (
+          {survey.questions.map((raw) => pipeQuestion(raw, survey.questions, answers)).map((q, i) => (
             <div key={q.id}>
               <div className="mb-2 font-medium">{i + 1}. {q.prompt}</div>
-              {q.type === "mc" ? (
-                <div className="grid gap-2">
-                  {(q.options || []).map((op, idx) => (
-                    <label key={idx} className="flex items-center gap-2">
-                      <input
-                        type="radio"
-                        name={q.id}
-                        value={op}
-                        onChange={(e) => setAnswers((a) => ({ ...a, [q.id]: e.target.value }))}
-                      />
-                      <span>{op}</span>
-                    </label>
-                  ))}
-                </div>
-              ) : (
-                <input
-                  className="border rounded-xl px-3 py-2 w-full"
-                  value={answers[q.id] || ""}
-                  onChange={(e) => setAnswers((a) => ({ ...a, [q.id]: e.target.value }))}
-                  placeholder="Type your answer"
-                />
-              )}
+              <AnswerField q={q} value={answers[q.id]} onChange={(v) => { setAnswers((a) => ({ ...a, [q.id]: v })); setErrors(({ [q.id]: _, ...rest }) => rest); }} />
+              {errors[q.id] && <div className="text-red-600 text-sm mt-1">{errors[q.id]}</div>}
             </div>
           ))}
+          {Object.keys(errors).length > 0 && <div className="text-red-600 text-sm">Please fix the highlighted answers.</div>}
           <button className="bg-indigo-600 text-white rounded-xl px-4 py-2" onClick={submit}>Submit</button>
         </div>
       </Card>
@@ -2299,32 +6494,308 @@ function TakeSurvey({ store, setStore, onBack, surveyId, currentUser }: { store:
   );
 }
 
+function AnswerField({ q, value, onChange }: { q: PipedQuestion; value: Answer | undefined; onChange: (v: Answer) => void }) {
+  const optionLabel = (op: string, idx: number) => q.optionLabels?.[idx] ?? op;
+  const rowLabel = (row: string, idx: number) => q.rowLabels?.[idx] ?? row;
+  switch (q.type) {
+    case "mc":
+      return (
+        <div className="grid gap-2">
+          {(q.options || []).map((op, idx) => (
+            <label key={idx} className="flex items-center gap-2">
+              <input type="radio" name={q.id} value={op} checked={value === op} onChange={(e) => onChange(e.target.value)} />
+              <span>{optionLabel(op, idx)}</span>
+            </label>
+          ))}
+        </div>
+      );
+    case "multi": {
+      const picked = Array.isArray(value) ? value : [];
+      return (
+        <div className="grid gap-2">
+          {(q.options || []).map((op, idx) => (
+            <label key={idx} className="flex items-center gap-2">
+              <input type="checkbox" checked={picked.includes(op)} onChange={(e) => onChange(e.target.checked ? [...picked, op] : picked.filter((p) => p !== op))} />
+              <span>{optionLabel(op, idx)}</span>
+            </label>
+          ))}
+        </div>
+      );
+    }
+    case "dropdown":
+      return (
+        <select className="border rounded-xl px-3 py-2" value={typeof value === "string" ? value : ""} onChange={(e) => onChange(e.target.value)}>
+          <option value="" disabled>Choose…</option>
+          {(q.options || []).map((op, idx) => <option key={idx} value={op}>{optionLabel(op, idx)}</option>)}
+        </select>
+      );
+    case "nps":
+      return (
+        <div>
+          <div className="flex flex-wrap gap-1">
+            {Array.from({ length: 11 }, (_, n) => String(n)).map((n) => (
+              <button key={n} className={`h-9 w-9 rounded-xl text-sm ${value === n ? "bg-indigo-600 text-white" : "bg-gray-100"}`} onClick={() => onChange(n)}>{n}</button>
+            ))}
+          </div>
+          <div className="flex justify-between text-xs text-gray-500 mt-1 max-w-md">
+            <span>Not at all likely</span>
+            <span>Extremely likely</span>
+          </div>
+        </div>
+      );
+    case "number":
+      return (
+        <input className="border rounded-xl px-3 py-2 w-40" type="number" min={q.min} max={q.max} value={typeof value === "string" ? value : ""} onChange={(e) => onChange(e.target.value)} />
+      );
+    case "date":
+      return <input className="border rounded-xl px-3 py-2" type="date" value={typeof value === "string" ? value : ""} onChange={(e) => onChange(e.target.value)} />;
+    case "likert": {
+      const grid = value && typeof value === "object" && !Array.isArray(value) ? value : {};
+      return (
+        <table className="w-full text-sm">
+          <thead>
+            <tr>
+              <th />
+              {(q.options || []).map((col, idx) => <th key={col} className="px-2 py-1 font-normal text-gray-500">{optionLabel(col, idx)}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {(q.rows || []).map((row, r) => (
+              <tr key={row} className="border-t">
+                <td className="py-2 pr-2">{rowLabel(row, r)}</td>
+                {(q.options || []).map((col, idx) => (
+                  <td key={col} className="text-center">
+                    <input type="radio" aria-label={`${rowLabel(row, r)}: ${optionLabel(col, idx)}`} name={`${q.id}-${row}`} checked={grid[row] === col} onChange={() => onChange({ ...grid, [row]: col })} />
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      );
+    }
+    default:
+      return (
+        <input
+          className="border rounded-xl px-3 py-2 w-full"
+          value={typeof value === "string" ? value : ""}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder="Type your answer"
+        />
+      );
+  }
+}
+
 // ------------------- UI helpers -------------------
 function Card({ children }: { children: React.ReactNode }) {
   return <div className="bg-white rounded-2xl shadow p-4">{children}</div>;
 }
 
+function megabytes(bytes: number) {
+  return `${(bytes / 1e6).toFixed(1)} MB`;
+}
+
+function StorageNotice({ status }: { status: StorageStatus }) {
+  const share = status.usage !== null && status.quota ? status.usage / status.quota : null;
+  return (
+    <>
+      {status.loadError && <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-red-700 text-sm">{status.loadError}</div>}
+      {status.error && (
+        <div className="p-3 rounded-xl bg-red-50 border border-red-200 text-red-700 text-sm">
+          {status.error} Delete old surveys or responses to free up space.
+        </div>
+      )}
+      {share !== null && (
+        <div className={`text-xs ${share > 0.8 ? "text-amber-700" : "text-gray-500"}`}>
+          Storage used: {megabytes(status.usage!)} of {megabytes(status.quota!)} ({Math.round(share * 100)}%)
+        </div>
+      )}
+    </>
+  );
+}
+
 // ------------------- Storage layer -------------------
+// The key predates schema versions; the blob's own `schemaVersion` says what shape it is (none = 1).
 const StoreKey = "scorpio:v1";
+const SCHEMA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a stored blob from schema n to n + 1.
+const MIGRATIONS: Record<number, (raw: any) => any> = {
+  1: (raw) => ({ ...raw, templates: raw.templates || {}, bank: raw.bank || {} }),
+};
+
+function migrateStore(raw: any): Store {
+  if (!isObject(raw)) throw new Error("Saved data isn't an object.");
+  let version: number = Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 1;
+  if (version > SCHEMA_VERSION) throw new Error(`Saved data is from a newer version of this app (schema ${version}).`);
+  let store = raw;
+  for (; version < SCHEMA_VERSION; version++) store = MIGRATIONS[version](store);
+  store = { ...store, schemaVersion: SCHEMA_VERSION };
+  assertValid(storeProblems(store), "Saved data");
+  return store as Store;
+}
 
-function useLocalStorage() {
-  const [state, setState] = useState<Store>(() => {
-    const raw = localStorage.getItem(StoreKey);
-    if (raw) return JSON.parse(raw);
-    return { users: {}, surveys: {}, responses: {}, session: null } as Store;
+// Each user, survey, response, template and bank item is its own IndexedDB record keyed [collection, id], and
+// schemaVersion + session share a "meta" record, so a change only writes the records whose object was replaced.
+const DB_NAME = "scorpio";
+const RECORDS = "records";
+const COLLECTIONS = ["users", "surveys", "responses", "templates", "bank"] as const;
+
+type StoredRecord = { key: string[]; value: unknown };
+// loadError is a problem found on load and stays up for the session; error is the last failed write.
+type StorageStatus = { loadError: string | null; error: string | null; usage: number | null; quota: number | null };
+
+function idbRequest<T>(request: IDBRequest<T>): Promise<T> {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbDone(tx: IDBTransaction): Promise<void> {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error("The write was aborted."));
   });
+}
+
+function openDatabase(): Promise<IDBDatabase> {
+  const request = indexedDB.open(DB_NAME, 1);
+  request.onupgradeneeded = () => request.result.createObjectStore(RECORDS);
+  return idbRequest(request);
+}
+
+function toRecords(store: Store): Map<string, StoredRecord> {
+  const out = new Map<string, StoredRecord>();
+  const add = (key: string[], value: unknown) => out.set(JSON.stringify(key), { key, value });
+  add(["meta"], { schemaVersion: store.schemaVersion, session: store.session });
+  for (const c of COLLECTIONS) for (const [id, value] of Object.entries(store[c] || {})) add([c, id], value);
+  return out;
+}
+
+// null when nothing has been saved yet. Unknown kinds (e.g. "unreadable" backups) are ignored.
+function fromRecords(records: StoredRecord[]): any {
+  const store: any = { users: {}, surveys: {}, responses: {}, templates: {}, bank: {} };
+  let meta: any = null;
+  for (const { key: [kind, id], value } of records) {
+    if (kind === "meta") meta = value;
+    else if (store[kind]) store[kind][id] = value;
+  }
+  return meta && { ...store, ...meta };
+}
+
+const emptyStore = (): Store => ({ schemaVersion: SCHEMA_VERSION, users: {}, surveys: {}, responses: {}, session: null, templates: {}, bank: {} });
+
+// store is null until IndexedDB has been read. The old localStorage blob is copied over on first load and left
+// in place as a backup. A failed write shows in `status` and is retried with the next change.
+function useIndexedStore() {
+  const [state, setState] = useState<Store | null>(null);
+  const [status, setStatus] = useState<StorageStatus>({ loadError: null, error: null, usage: null, quota: null });
+  const db = useRef<IDBDatabase | null>(null);
+  const saved = useRef(new Map<string, StoredRecord>()); // as of the last completed write
+  const queue = useRef(Promise.resolve());
+
+  // Usage is only shown when the browser will tell; some refuse (e.g. in private windows), which isn't an error.
+  async function estimate() {
+    try {
+      const { usage = null, quota = null } = (await navigator.storage?.estimate?.()) || {};
+      setStatus((s) => ({ ...s, usage, quota }));
+    } catch {}
+  }
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      let records: StoredRecord[];
+      try {
+        db.current = await openDatabase();
+        const objects = db.current.transaction(RECORDS, "readonly").objectStore(RECORDS);
+        const [keys, values] = await Promise.all([idbRequest(objects.getAllKeys()), idbRequest(objects.getAll())]);
+        records = keys.map((key, i) => ({ key: key as string[], value: values[i] }));
+      } catch (e) {
+        // Without knowing what's saved, writing could clobber it, so this session isn't saved.
+        db.current = null;
+        setStatus((s) => ({ ...s, loadError: `Saved data couldn't be read (${(e as Error)?.message || "storage unavailable"}), so changes won't be saved.` }));
+        if (!cancelled) setState(emptyStore());
+        return;
+      }
+      records.forEach((r) => saved.current.set(JSON.stringify(r.key), r));
+
+      const stored = fromRecords(records);
+      let loaded: Store | null = null;
+      try {
+        const legacy = stored ? null : localStorage.getItem(StoreKey);
+        loaded = stored ? migrateStore(stored) : legacy ? migrateStore(JSON.parse(legacy)) : null;
+      } catch (e) {
+        const reason = e instanceof SyntaxError ? "It isn't valid JSON." : (e as Error).message;
+        if (!stored) {
+          setStatus((s) => ({ ...s, loadError: `Your old data couldn't be loaded. ${reason} It was left in localStorage and a fresh start was made.` }));
+        } else {
+          // The empty store's first save deletes every original record, so it may only go ahead once they're copied.
+          try {
+            const tx = db.current.transaction(RECORDS, "readwrite");
+            tx.objectStore(RECORDS).put(records, ["unreadable", String(Date.now())]);
+            await idbDone(tx);
+            setStatus((s) => ({ ...s, loadError: `Your saved data couldn't be loaded. ${reason} It was set aside in browser storage and a fresh start was made.` }));
+          } catch (failure) {
+            db.current = null;
+            setStatus((s) => ({ ...s, loadError: `Your saved data couldn't be loaded or set aside (${(failure as Error)?.message || "unknown error"}). ${reason} It was left untouched, so changes in this session won't be saved.` }));
+          }
+        }
+      }
+      // Records that migration left alone count as saved, so loading doesn't rewrite everything.
+      if (loaded) {
+        toRecords(loaded).forEach((r, id) => {
+          const before = saved.current.get(id);
+          if (before && JSON.stringify(before.value) === JSON.stringify(r.value)) saved.current.set(id, r);
+        });
+      }
+      if (!cancelled) setState(loaded || emptyStore());
+      estimate();
+    })();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
   useEffect(() => {
-    localStorage.setItem(StoreKey, JSON.stringify(state));
+    const database = db.current;
+    if (!state || !database) return;
+    const records = toRecords(state);
+    // Each link ends in its own catch, so one failure can't leave the queue rejected and skip every later save.
+    queue.current = queue.current
+      .then(async () => {
+        const puts = [...records].filter(([id, r]) => {
+          const before = saved.current.get(id);
+          if (!before) return true;
+          return id === '["meta"]' ? JSON.stringify(before.value) !== JSON.stringify(r.value) : before.value !== r.value;
+        });
+        const deletes = [...saved.current.keys()].filter((id) => !records.has(id) && !id.startsWith('["unreadable"'));
+        if (puts.length === 0 && deletes.length === 0) return;
+        const tx = database.transaction(RECORDS, "readwrite");
+        const objects = tx.objectStore(RECORDS);
+        puts.forEach(([, r]) => objects.put(r.value, r.key));
+        deletes.forEach((id) => objects.delete(saved.current.get(id)!.key));
+        await idbDone(tx);
+        puts.forEach(([id, r]) => saved.current.set(id, r));
+        deletes.forEach((id) => saved.current.delete(id));
+        setStatus((s) => (s.error ? { ...s, error: null } : s));
+        await estimate();
+      })
+      .catch((e) => {
+        const full = (e as DOMException)?.name === "QuotaExceededError";
+        setStatus((s) => ({ ...s, error: full ? "Storage is full, so your latest changes weren't saved." : `Your latest changes weren't saved (${(e as Error)?.message || "unknown error"}).` }));
+        return estimate();
+      });
   }, [state]);
 
   // expose a setState-like API to children via context-ish helper
   (window as any).__setScorpioStore = setState;
 
-  return [state, setState] as const;
+  return [state, setState as SetStore, status] as const;
 }
 
-function useLocalStorageCtx() {
+function useStoreCtx() {
   const setStore = (updater: SetStore | ((s: Store) => Store)) => {
     if (typeof updater === "function") {
       (window as any).__setScorpioStore((updater as any));
@@ -2337,13 +6808,30 @@ function useLocalStorageCtx() {
 
 // ------------------- Types -------------------
 
-type QuestionType = "mc" | "text";
+type QuestionType = "mc" | "multi" | "dropdown" | "text" | "nps" | "number" | "date" | "likert";
+
+// multi → string[], likert → { [row]: column }, everything else (including NPS and numbers) → string
+type Answer = string | string[] | Record<string, string>;
+
+type Rules = {
+  minLength?: number;
+  maxLength?: number;
+  pattern?: "email" | "phone" | "custom";
+  regex?: string;
+  minSelect?: number;
+  maxSelect?: number;
+  message?: string; // replaces the built-in error text
+};
 
 type Question = {
   id: string;
   type: QuestionType;
   prompt: string;
-  options?: string[];
+  options?: string[]; // choices, or Likert columns
+  rows?: string[]; // Likert rows
+  min?: number;
+  max?: number;
+  validation?: Rules;
 };
 
 type QuestionDraft = {
@@ -2351,6 +6839,10 @@ type QuestionDraft = {
   type: QuestionType;
   prompt: string;
   options?: string[];
+  rows?: string[];
+  min?: number;
+  max?: number;
+  validation?: Rules;
 };
 
 type Survey = {
@@ -2367,7 +6859,9 @@ type Response = {
   surveyId: string;
   uid: string;
   createdAt: number;
-  answers: Record<string, string>;
+  answers: Record<string, Answer>;
+  flagged?: boolean; // marked as spam by the survey's creator
+  note?: string; // internal, never shown to the respondent
 };
 
 type User = {
@@ -2379,16 +6873,306 @@ type User = {
   taken: Record<string, boolean>;
 };
 
+type Template = {
+  id: string;
+  name: string;
+  title: string;
+  questions: QuestionDraft[];
+  builtIn?: boolean;
+  creatorUid?: string;
+};
+
+type BankItem = QuestionDraft & { creatorUid: string };
+
 type Store = {
+  schemaVersion: number;
   users: Record<string, User>;
   surveys: Record<string, Survey>;
   responses: Record<string, Response>;
   session: { uid: string } | null;
+  templates?: Record<string, Template>; // absent in stores saved before templates existed
+  bank?: Record<string, BankItem>;
 };
 
 type SetStore = (updater: ((s: Store) => Store) | Store) => void;
 
 // ------------------- Utils -------------------
+const QUESTION_TYPE_LABELS: Record<QuestionType, string> = {
+  mc: "Multiple choice",
+  multi: "Checkboxes",
+  dropdown: "Dropdown",
+  text: "Short text",
+  nps: "NPS (0–10)",
+  number: "Number",
+  date: "Date",
+  likert: "Likert grid",
+};
+const CHOICE_TYPES: QuestionType[] = ["mc", "multi", "dropdown"];
+const LIKERT_SCALE = ["Strongly disagree", "Disagree", "Neutral", "Agree", "Strongly agree"];
+
+function isAnswered(q: Question, value: Answer | undefined) {
+  if (value === undefined) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === "object") return (q.rows || []).every((row) => value[row]);
+  return value.trim() !== "";
+}
+
+const PATTERNS: Record<"email" | "phone", RegExp> = {
+  email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+  phone: /^\+?[\d\s().-]{7,20}$/,
+};
+
+// Every Scorpio question is required; returns the message to show under the field, or null.
+function checkAnswer(q: Question, value: Answer | undefined): string | null {
+  if (!isAnswered(q, value)) return "Please answer this question";
+  const rules = q.validation || {};
+  const fail = (fallback: string) => rules.message || fallback;
+  if (q.type === "text" && typeof value === "string") {
+    const text = value.trim();
+    if (rules.minLength && text.length < rules.minLength) return fail(`Please enter at least ${rules.minLength} characters`);
+    if (rules.maxLength && text.length > rules.maxLength) return fail(`Please keep it to ${rules.maxLength} characters or fewer`);
+    let regex: RegExp | null = null;
+    if (rules.pattern === "custom") {
+      try {
+        regex = rules.regex ? new RegExp(rules.regex) : null;
+      } catch {
+        regex = null; // invalid author regex: skip the check rather than block respondents
+      }
+    } else if (rules.pattern) regex = PATTERNS[rules.pattern];
+    if (regex && !regex.test(text)) return fail(rules.pattern === "email" ? "Please enter a valid email address" : rules.pattern === "phone" ? "Please enter a valid phone number" : "Please match the requested format");
+  }
+  if (q.type === "number") {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return fail("Please enter a number");
+    if (q.min !== undefined && n < q.min) return fail(`Please enter ${q.min} or more`);
+    if (q.max !== undefined && n > q.max) return fail(`Please enter ${q.max} or less`);
+  }
+  if (q.type === "multi" && Array.isArray(value)) {
+    if (rules.minSelect && value.length < rules.minSelect) return fail(`Please select at least ${rules.minSelect}`);
+    if (rules.maxSelect && value.length > rules.maxSelect) return fail(`Please select no more than ${rules.maxSelect}`);
+  }
+  return null;
+}
+
+// {{qN}} in a prompt, option or Likert row is replaced with the respondent's answer to question N (1-based).
+const PIPE_RE = /\{\{\s*q(\d+)\s*\}\}/gi;
+
+function pipe(text: string, questions: Question[], answers: Record<string, Answer>): string {
+  return text.replace(PIPE_RE, (_, n: string) => {
+    const value = answers[questions[Number(n) - 1]?.id];
+    return (value !== undefined && formatAnswer(value)) || "…";
+  });
+}
+
+// Options and rows keep their raw text as the stored answer; the piped text is only for display.
+type PipedQuestion = Question & { optionLabels?: string[]; rowLabels?: string[] };
+
+function pipeQuestion(q: Question, questions: Question[], answers: Record<string, Answer>): PipedQuestion {
+  const p = (text: string) => pipe(text, questions, answers);
+  return { ...q, prompt: p(q.prompt), optionLabels: q.options?.map(p), rowLabels: q.rows?.map(p) };
+}
+
+const BUILT_IN_TEMPLATES: Template[] = [
+  {
+    id: "csat",
+    name: "Customer satisfaction (CSAT)",
+    title: "Customer Satisfaction",
+    builtIn: true,
+    questions: [
+      { id: "csat-1", type: "mc", prompt: "How satisfied were you with your recent experience?", options: ["Very satisfied", "Satisfied", "Neutral", "Dissatisfied", "Very dissatisfied"] },
+      { id: "csat-2", type: "dropdown", prompt: "What was your visit mainly about?", options: ["Buying something", "Getting support", "Returning an item", "Just browsing"] },
+      { id: "csat-3", type: "text", prompt: "What could we have done better?" },
+    ],
+  },
+  {
+    id: "nps",
+    name: "Net Promoter Score (NPS)",
+    title: "How likely are you to recommend us?",
+    builtIn: true,
+    questions: [
+      { id: "nps-1", type: "nps", prompt: "How likely are you to recommend us to a friend or colleague?" },
+      { id: "nps-2", type: "text", prompt: "What is the main reason for your score of {{q1}}?" },
+    ],
+  },
+  {
+    id: "pulse",
+    name: "Employee pulse",
+    title: "Weekly Pulse",
+    builtIn: true,
+    questions: [
+      { id: "pulse-1", type: "likert", prompt: "How much do you agree with the following?", rows: ["I feel valued for the work I do", "I have what I need to do my job well", "I would recommend this team as a great place to work"], options: LIKERT_SCALE },
+      { id: "pulse-2", type: "mc", prompt: "How manageable was your workload this week?", options: ["Very manageable", "Manageable", "Stretched", "Overwhelming"] },
+      { id: "pulse-3", type: "text", prompt: "Is there anything on your mind you'd like to share?" },
+    ],
+  },
+  {
+    id: "product",
+    name: "Product feedback",
+    title: "Product Feedback",
+    builtIn: true,
+    questions: [
+      { id: "product-1", type: "dropdown", prompt: "How often do you use the product?", options: ["Daily", "Weekly", "Monthly", "Rarely"] },
+      { id: "product-2", type: "multi", prompt: "Which features do you use?", options: ["Dashboard", "Reports", "Integrations", "Mobile app"] },
+      { id: "product-3", type: "nps", prompt: "How likely are you to recommend the product?" },
+      { id: "product-4", type: "text", prompt: "If you could change one thing, what would it be?" },
+    ],
+  },
+];
+
+function formatAnswer(value: Answer | undefined): string {
+  if (value === undefined) return "—";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "object") return Object.entries(value).map(([row, col]) => `${row}: ${col}`).join("; ");
+  return value;
+}
+
+// ------------------- Schema -------------------
+const isObject = (x: unknown): x is Record<string, any> => x !== null && typeof x === "object" && !Array.isArray(x);
+
+// Each checker returns every problem it finds as "path: what's wrong".
+function questionProblems(q: any, path: string): string[] {
+  if (!isObject(q)) return [`${path}: should be an object`];
+  const out: string[] = [];
+  if (typeof q.id !== "string" || !q.id) out.push(`${path}.id: missing`);
+  if (!(q.type in QUESTION_TYPE_LABELS)) out.push(`${path}.type: "${q.type}" is not a question type`);
+  if (typeof q.prompt !== "string") out.push(`${path}.prompt: should be text`);
+  const texts = (list: unknown) => Array.isArray(list) && list.every((x) => typeof x === "string");
+  if ((CHOICE_TYPES.includes(q.type) || q.type === "likert") && !texts(q.options)) out.push(`${path}.options: should be a list of text`);
+  if (q.type === "likert" && !texts(q.rows)) out.push(`${path}.rows: should be a list of text`);
+  return out;
+}
+
+function storeProblems(store: any): string[] {
+  const out: string[] = [];
+  const map = (key: string, check: (item: any, path: string) => string[]) => {
+    if (!isObject(store[key])) return out.push(`${key}: should be an object keyed by id`);
+    Object.entries(store[key]).forEach(([id, item]) => out.push(...check(item, `${key}.${id}`)));
+  };
+  map("users", (u, path) =>
+    isObject(u) && typeof u.email === "string" && Number.isFinite(u.balance) && isObject(u.taken) ? [] : [`${path}: needs an email, a numeric balance and a taken map`]
+  );
+  map("surveys", (s, path) => {
+    if (!isObject(s)) return [`${path}: should be an object`];
+    const problems = typeof s.title === "string" && Number.isFinite(s.reward) ? [] : [`${path}: needs a title and a numeric reward`];
+    if (!Array.isArray(s.questions)) return [...problems, `${path}.questions: should be a list`];
+    return [...problems, ...s.questions.flatMap((q: any, i: number) => questionProblems(q, `${path}.questions[${i}]`))];
+  });
+  map("responses", (r, path) =>
+    isObject(r) && typeof r.surveyId === "string" && typeof r.uid === "string" && isObject(r.answers) ? [] : [`${path}: needs a surveyId, a uid and answers`]
+  );
+  map("templates", (t, path) => (isObject(t) && Array.isArray(t.questions) ? [] : [`${path}: needs a list of questions`]));
+  map("bank", (q, path) => questionProblems(q, path));
+  if (store.session !== null && !(isObject(store.session) && typeof store.session.uid === "string")) out.push("session: should be null or { uid }");
+  return out;
+}
+
+function assertValid(problems: string[], what: string) {
+  if (problems.length === 0) return;
+  const shown = problems.slice(0, 8).map((p) => `• ${p}`);
+  if (problems.length > shown.length) shown.push(`• …and ${problems.length - shown.length} more`);
+  throw new Error(`${what} is invalid:\n${shown.join("\n")}`);
+}
+
+// Survey exports from the single-survey apps (survey_app_v1 and the rewards app, schema 1–3) hold
+// { survey, responses }. Sections are dropped, star ratings become numbers and "mcq" becomes "mc". Scorpio has no
+// optional questions, logic or pages, so what changes for respondents is listed in `notes`.
+const LEGACY_TYPES: Record<string, QuestionType | null> = {
+  mcq: "mc", multi: "multi", dropdown: "dropdown", text: "text", nps: "nps", number: "number", date: "date", likert: "likert", rating: "number", section: null,
+};
+
+// Whether `answer` is something `q` could have been given: options that still exist, numbers for numeric questions.
+function answerFits(q: Question, answer: Answer): boolean {
+  const options = q.options || [];
+  if (q.type === "multi") return Array.isArray(answer) && answer.every((o) => options.includes(o));
+  if (q.type === "likert") return isObject(answer) && Object.entries(answer).every(([row, col]) => (q.rows || []).includes(row) && options.includes(col as string));
+  if (typeof answer !== "string") return false;
+  if (q.type === "mc" || q.type === "dropdown") return options.includes(answer);
+  if (q.type === "nps" || q.type === "number") return answer.trim() !== "" && Number.isFinite(Number(answer));
+  return true;
+}
+
+function fromLegacyExport(raw: any, creatorUid: string): { survey: Survey; responses: Response[]; notes: string[] } {
+  if (!isObject(raw) || !isObject(raw.survey)) throw new Error("This file has no survey in it.");
+  if (Number.isInteger(raw.schemaVersion) && raw.schemaVersion > 3) throw new Error(`This file is from a newer app version (schema ${raw.schemaVersion}).`);
+  const source = raw.survey;
+  // Versioned exports: respondents answered the published questions, not the draft.
+  const legacyQuestions = source.versions?.length ? source.versions[source.versions.length - 1].questions : source.questions;
+  const problems: string[] = [];
+  if (typeof source.title !== "string") problems.push("survey.title: should be text");
+  if (!Array.isArray(legacyQuestions)) problems.push("survey.questions: should be a list");
+  (Array.isArray(legacyQuestions) ? legacyQuestions : []).forEach((q: any, i: number) => {
+    if (!isObject(q) || typeof q.id !== "string" || typeof q.prompt !== "string") problems.push(`survey.questions[${i}]: needs an id and a prompt`);
+    else if (!(q.type in LEGACY_TYPES)) problems.push(`survey.questions[${i}].type: "${q.type}" is not a question type`);
+  });
+  if (raw.responses !== undefined && !Array.isArray(raw.responses)) problems.push("responses: should be a list");
+  assertValid(problems, "This file");
+
+  const questions: Question[] = legacyQuestions
+    .filter((q: any) => LEGACY_TYPES[q.type])
+    .map((q: any) => ({
+      id: q.id,
+      type: LEGACY_TYPES[q.type] as QuestionType,
+      prompt: q.prompt,
+      ...(q.options && { options: q.options }),
+      ...(q.rows && { rows: q.rows }),
+      ...(q.type === "rating" ? { min: 1, max: q.max || 5 } : { min: q.min, max: q.max }),
+      ...(q.validation && { validation: q.validation }),
+    }));
+  assertValid(questions.flatMap((q, i) => questionProblems(q, `survey.questions[${i}]`)), "This file");
+  const survey: Survey = { id: rid(), title: source.title, reward: 0, questions, createdAt: Date.now(), creatorUid };
+
+  const notes: string[] = [];
+  const label = (q: any) => `"${q.prompt}"`;
+  const kept = legacyQuestions.filter((q: any) => LEGACY_TYPES[q.type]);
+  const list = (qs: any[]) => qs.map(label).join(", ");
+  const sections = legacyQuestions.length - kept.length;
+  if (sections) notes.push(`${sections} section break(s) removed; Scorpio shows every question on one page.`);
+  const optional = kept.filter((q: any) => !q.required);
+  if (optional.length) notes.push(`Now required, since every Scorpio question is: ${list(optional)}.`);
+  const logic = kept.filter((q: any) => q.showIf || q.endIf);
+  if (logic.length) notes.push(`Show-if and end-survey logic removed from: ${list(logic)}.`);
+  const ratings = kept.filter((q: any) => q.type === "rating");
+  if (ratings.length) notes.push(`Star ratings became number questions: ${list(ratings)}.`);
+
+  // Each response answered the questions of its own version. Answers follow the export's questionMap to the
+  // question that replaced theirs, and are kept only where that question still has the same type and can hold them.
+  const toAnswer = (value: unknown): Answer | undefined =>
+    typeof value === "number" ? String(value) : typeof value === "string" || Array.isArray(value) || isObject(value) ? (value as Answer) : undefined;
+  const versions = new Map<number, any[]>((source.versions || []).filter(isObject).map((v: any) => [v.version, Array.isArray(v.questions) ? v.questions : []]));
+  const questionMap: Record<string, string> = isObject(source.questionMap) ? source.questionMap : {};
+  const latest = new Map(questions.map((q) => [q.id, q]));
+  let unknownVersion = 0;
+  let lost = 0;
+  const responses: Response[] = (raw.responses || []).filter(isObject).flatMap((r: any) => {
+    const asked = versions.size ? versions.get(r.version) : legacyQuestions;
+    if (!asked) {
+      unknownVersion++;
+      return [];
+    }
+    const askedById = new Map(asked.filter(isObject).map((q: any) => [q.id, q]));
+    const answers: Record<string, Answer> = {};
+    Object.entries(isObject(r.answers) ? r.answers : {}).forEach(([qid, value]) => {
+      const target = latest.get(questionMap[qid] || qid);
+      const answer = toAnswer(value);
+      const before = askedById.get(qid) as any;
+      if (!target || answer === undefined || (before && LEGACY_TYPES[before.type] !== target.type) || !answerFits(target, answer)) lost++;
+      else if (answers[target.id] === undefined) answers[target.id] = answer;
+    });
+    return [{
+      id: rid(),
+      surveyId: survey.id,
+      uid: "imported",
+      createdAt: Number.isFinite(r.timestamp) ? r.timestamp : Date.now(),
+      answers,
+      ...(r.flagged && { flagged: true }),
+      ...(r.note && { note: r.note }),
+    }];
+  });
+  if (unknownVersion) notes.push(`${unknownVersion} response(s) answer a version that isn't in the file and weren't imported.`);
+  if (lost) notes.push(`${lost} answer(s) weren't imported: their question was removed or changed type, or their option no longer exists.`);
+  return { survey, responses, notes };
+}
+
 function rid() {
   return Math.random().toString(36).slice(2) + Date.now().toString(36);
 }